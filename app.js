@@ -1,7 +1,9 @@
-const { useState, useEffect, useRef, useCallback } = React;
+const { useState, useEffect, useRef, useCallback, useMemo, useImperativeHandle } = React;
 
 /* =======================================================
    CONFIG
+   (the PLUME_TUNING_FIELDS subset is also editable at runtime
+   from the Plume Settings panel, which mutates this object)
    ======================================================= */
 const PLUME = {
   // particle density & limits
@@ -25,6 +27,7 @@ const PLUME = {
 
   // visuals
   color: { r: 239, g: 68, b: 68 },
+  sourceColor: { r: 245, g: 158, b: 11 },   // plumes from point sources
   minSize: 1.6,
   maxSize: 6.0,
 
@@ -39,43 +42,47 @@ const PLUME = {
 
 };
 
+// pristine copy, so links and saved views only carry what was changed
+const PLUME_DEFAULTS = JSON.parse(JSON.stringify(PLUME));
+
+const DEFAULT_VIEW = { center: [42.3314, -83.0458], zoom: 12 };
+
+// heatmap grid: playback time resolution, and redraw cap while only the time changes
+const HEATMAP_TIME_STEP_MS = 10 * 60 * 1000;
+const HEATMAP_MIN_REDRAW_MS = 250;
+
+// basemap per theme; the rest of the theme is the .theme-* class in styles.css
+const THEMES = {
+  dark: { tiles: "https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png" },
+  light: { tiles: "https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png" }
+};
+
 /* =======================================================
    HELPERS
    ======================================================= */
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
-function createParticleForMonitor(m, windAngle) {
-  // Start slightly upwind/around station
-  const lat0 = m.lat;
-  const lon0 = m.lon;
-  const backAngle = windAngle + Math.PI + (Math.random() - 0.5) * 0.5 * PLUME.spawnAngleJitter;
-  const r = (Math.random() * 0.003 + 0.0002) * PLUME.spawnRadiusMult;
-  return {
-    lat: lat0 + Math.cos(backAngle) * r,
-    lon: lon0 + Math.sin(backAngle) * r,
-    life: Math.random() * 0.2,
-    nseed: Math.random() * 1000,
-    speed:
-      (m.windSpeed / 1000) *
-      PLUME.speedFactorDeg *
-      (0.7 + Math.random() * 0.8),
-    dead: false
-  };
+// PLUME values (of the shareable keys) that differ from the defaults
+function plumeOverrides() {
+  const out = {};
+  for (const k of PLUME_URL_KEYS) {
+    if (JSON.stringify(PLUME[k]) !== JSON.stringify(PLUME_DEFAULTS[k])) out[k] = PLUME[k];
+  }
+  return out;
+}
+
+// reset PLUME to defaults, then apply the given overrides in place
+function applyPlumeOverrides(overrides) {
+  Object.assign(PLUME, JSON.parse(JSON.stringify(PLUME_DEFAULTS)), overrides);
 }
 
-const getAQIColor = (aqi) =>
-  aqi <= 50 ? "#10b981" :
-  aqi <= 100 ? "#fbbf24" :
-  aqi <= 150 ? "#f97316" :
-  aqi <= 200 ? "#ef4444" :
-  aqi <= 300 ? "#a855f7" : "#991b1b";
+const getAQIColor = (aqi) => aqiCategory(aqi).color;
+
+const getAQILabel = (aqi) => aqiCategory(aqi).label;
 
-const getAQILabel = (aqi) =>
-  aqi <= 50 ? "Good" :
-  aqi <= 100 ? "Moderate" :
-  aqi <= 150 ? "Unhealthy for Sensitive Groups" :
-  aqi <= 200 ? "Unhealthy" :
-  aqi <= 300 ? "Very Unhealthy" : "Hazardous";
+// one decimal for interpolated readings, dash when a pollutant isn't reported
+const formatReading = (v) =>
+  v === undefined || v === null ? "—" : Math.round(v * 10) / 10;
 
 const getDirectionDesc = (deg) => {
   const dirs = [
@@ -85,131 +92,859 @@ const getDirectionDesc = (deg) => {
   return dirs[Math.round(deg / 45) % 8];
 };
 
-/* Simple demo wind-rose data generator (replace with real histograms if available) */
-function getWindRoseData(monitor) {
-  return [
-    { angle: 0,   frequency: 8,  avgAQI: 45 },
-    { angle: 45,  frequency: 12, avgAQI: 62 },
-    { angle: 90,  frequency: 15, avgAQI: 58 },
-    { angle: 135, frequency: 18, avgAQI: 71 },
-    { angle: 180, frequency: 22, avgAQI: 95 },
-    { angle: 225, frequency: 25, avgAQI: monitor.aqi },
-    { angle: 270, frequency: 14, avgAQI: 67 },
-    { angle: 315, frequency: 10, avgAQI: 52 }
-  ];
-}
-
 /* =======================================================
    APP
+   Standalone it owns the page and the URL hash. Embedded (see
+   js/embed.js) the host passes options as props, listens via
+   onEvent(type, detail) and drives it through the ref:
+   selectMonitor(id), setData(records), setTime(t),
+   setTracking(on) and getState().
    ======================================================= */
-const AQIPollutionTracker = () => {
+const AQIPollutionTracker = React.forwardRef(({
+  initialMonitors = null,   // raw records shown instead of loading the default file
+  center = null,
+  zoom = null,
+  plume = null,             // PLUME overrides, checked like an imported settings file
+  theme = "dark",
+  embedded = false,         // leave the URL hash and the service worker to the host page
+  onEvent = null
+}, ref) => {
+  // view state from the URL hash (applied once, before first render); options fill the gaps
+  const [initialView] = useState(() => {
+    const view = embedded ? {} : parseViewState(window.location.hash);
+    const hostPlume = plume ? parsePlumeSettings(plume).settings : {};
+    if (plume || view.plume) applyPlumeOverrides({ ...hostPlume, ...view.plume });
+    return { ...view, center: view.center || center, zoom: view.zoom ?? zoom };
+  });
+
   // state
   const [selectedMonitor, setSelectedMonitor] = useState(null);
-  const [showAllTracking, setShowAllTracking] = useState(false);
-  const [visualizationType, setVisualizationType] = useState("particles");
+  const [showAllTracking, setShowAllTracking] = useState(!!initialView.showAll);
+  const [comparedIds, setComparedIds] = useState(initialView.compare || []);
+  const [visualizationType, setVisualizationType] = useState(initialView.visualization || "particles");
+  const [pollutant, setPollutant] = useState(initialView.pollutant || "pm25");
+  const [aqiColors, setAqiColors] = useState(true);
+  const [palette, setPalette] = useState(() => setAQIPalette(loadPalettePreference()));
+  const [announcement, setAnnouncement] = useState("");
   const [showWindRose, setShowWindRose] = useState(false);
+  const [monitors, setMonitors] = useState([]);
+  const [dataStatus, setDataStatus] = useState({ loading: false });
+  const [currentTime, setCurrentTime] = useState(null);
+  const [showWindField, setShowWindField] = useState(false);
+  const [plumeStability, setPlumeStability] = useState(PLUME_MODEL.stability);
+  const [heatStyle, setHeatStyle] = useState("heatmap");
+  const [cursorConcentration, setCursorConcentration] = useState(null);
+  const [viewport, setViewport] = useState(null);
+  const [plumeVersion, setPlumeVersion] = useState(0);
+  const [pointSources, setPointSources] = useState([]);
+  const [sourcesStatus, setSourcesStatus] = useState({ loading: false });
+  const [showTrajectory, setShowTrajectory] = useState(false);
+  const [trajectoryHours, setTrajectoryHours] = useState(BACK_TRAJECTORY.hours);
+  const [trajectoryRadiusKm, setTrajectoryRadiusKm] = useState(BACK_TRAJECTORY.sourceRadiusKm);
+  const [showSourcesPanel, setShowSourcesPanel] = useState(false);
+  const [placingSource, setPlacingSource] = useState(false);
+  const [animateSources, setAnimateSources] = useState(true);
+  const [showStats, setShowStats] = useState(false);
+  const [perfStats, setPerfStats] = useState(null);
+  const [refreshMinutes, setRefreshMinutes] = useState(0);
+  const [online, setOnline] = useState(navigator.onLine);
+  // service worker or IndexedDB trouble: the app works, just not offline
+  const [offlineIssue, setOfflineIssue] = useState(null);
+  const [alertRules, setAlertRules] = useState(loadAlertRules);
+  const [alertRulesError, setAlertRulesError] = useState(null);
+  const [activeAlerts, setActiveAlerts] = useState([]);
+  const [alertLog, setAlertLog] = useState([]);
+  const [notifyAlerts, setNotifyAlerts] = useState(false);
+  const [showAlertsPanel, setShowAlertsPanel] = useState(false);
+  const [showExposurePanel, setShowExposurePanel] = useState(false);
+  const [exposureAreas, setExposureAreas] = useState(null);
+  const [exposureStatus, setExposureStatus] = useState({ loading: false });
+  const [exposureRunning, setExposureRunning] = useState(true);
+  const [exposureSummary, setExposureSummary] = useState({ rows: [], seconds: 0 });
+  const [showSurfacePanel, setShowSurfacePanel] = useState(false);
+  const [surface, setSurface] = useState(null);
+  const [surfaceStatus, setSurfaceStatus] = useState({ loading: false });
+  const [surfaceApplied, setSurfaceApplied] = useState(true);
+  const [showSurfaceOverlay, setShowSurfaceOverlay] = useState(true);
+  const [showForecastPanel, setShowForecastPanel] = useState(false);
+  const [forecast, setForecast] = useState(null);
+  const [forecastStatus, setForecastStatus] = useState({ loading: false });
+  const [forecastTime, setForecastTime] = useState(null);
+  const [forecastThreshold, setForecastThreshold] = useState(FORECAST_DEFAULTS.threshold);
 
   // refs
   const mapRef = useRef(null);
+  const mapElRef = useRef(null);
+  const tileLayerRef = useRef(null);
   const canvasRef = useRef(null);
+  const fieldCanvasRef = useRef(null);
+  const windFieldRef = useRef(null);
+  const heatCanvasRef = useRef(null);
+  const heatStateRef = useRef({ key: null, sources: [] });
+  const heatViewRef = useRef(null);
   const markersRef = useRef([]);
+  const sourceMarkersRef = useRef([]);
+  const pointSourcesRef = useRef([]);
+  const trajectoryLayerRef = useRef(null);
   const animationRef = useRef(null);
   const lastTsRef = useRef(performance.now());
+  const engineRef = useRef(null);
+  const particleFrameRef = useRef(null);
+  const perfRef = useRef({ frames: 0, since: performance.now(), step: null });
+  const timeRef = useRef(null);
+  const lastSourceRef = useRef(null);
+  const alertTrackingRef = useRef(new Map());
+  const alertKeysRef = useRef(new Set());
+  const exposureRef = useRef(null);
+  const forecastRef = useRef(null);
+  // monitor id from a link/saved view, selected once monitors arrive
+  const pendingSelectionRef = useRef(initialView.monitorId ?? null);
+  const onEventRef = useRef(onEvent);
+  onEventRef.current = onEvent;
+  const lastSelectedIdRef = useRef(null);
+  const lastTrackingRef = useRef(!!initialView.showAll);
+  // tell the host page (if any) what happened
+  const emit = useCallback((type, detail) => {
+    if (onEventRef.current) onEventRef.current(type, detail);
+  }, []);
 
-  // demo monitors
-  const monitors = [
-    {
-      id: 1, name: "Downtown Detroit",
-      lat: 42.3314, lon: -83.0458,
-      aqi: 142, pm25: 58.4, pm10: 82.1, o3: 33, no2: 30, so2: 11, co: 26,
-      windSpeed: 11, windDirection: 240, dominantPollutant: "PM2.5"
-    },
-    {
-      id: 2, name: "Dearborn",
-      lat: 42.3223, lon: -83.1763,
-      aqi: 168, pm25: 72.3, pm10: 95.8, o3: 28, no2: 35, so2: 15, co: 32,
-      windSpeed: 13, windDirection: 225, dominantPollutant: "PM2.5"
-    },
-    {
-      id: 3, name: "Belle Isle",
-      lat: 42.3387, lon: -82.9853,
-      aqi: 98, pm25: 38.2, pm10: 52.4, o3: 45, no2: 22, so2: 8, co: 18,
-      windSpeed: 15, windDirection: 270, dominantPollutant: "PM2.5"
-    }
-  ];
+  // playback time is read by frame() through a ref so scrubbing doesn't restart the loop
+  timeRef.current = currentTime;
+  // marker click handlers are bound once per data load; they read the selection here
+  const selectedMonitorRef = useRef(null);
+  selectedMonitorRef.current = selectedMonitor;
+  const timeRange = useMemo(() => getTimeRange(monitors), [monitors]);
 
   /* ---------------------------------------
-     1) Init Leaflet + overlay canvas + markers
+     1) Init Leaflet + overlay canvas
      --------------------------------------- */
   useEffect(() => {
     if (mapRef.current) return;
 
-    const map = L.map("leaflet-map", { zoomControl: true })
-      .setView([42.3314, -83.0458], 12);
+    const map = L.map(mapElRef.current, { zoomControl: true })
+      .setView(initialView.center || DEFAULT_VIEW.center, initialView.zoom ?? DEFAULT_VIEW.zoom);
 
-    L.tileLayer(
-      "https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png",
-      { maxZoom: 20, attribution: "&copy; OpenStreetMap &copy; CARTO" }
+    tileLayerRef.current = L.tileLayer(
+      (THEMES[theme] || THEMES.dark).tiles,
+      // CORS-enabled tiles so map exports can read the composited canvas back
+      { maxZoom: 20, attribution: "&copy; OpenStreetMap &copy; CARTO", crossOrigin: "anonymous" }
     ).addTo(map);
 
     mapRef.current = map;
 
-    // canvas overlay in overlayPane
-    const canvas = document.createElement("canvas");
-    canvas.className = "particle-canvas";
-    canvas.style.background = "transparent";
-    map.getPanes().overlayPane.appendChild(canvas);
+    // neighbourhood exposure shading sits under the plume canvases
+    map.createPane(EXPOSURE_PANE).style.zIndex = EXPOSURE_PANE_Z;
+    map.createPane(SURFACE_PANE).style.zIndex = SURFACE_PANE_Z;
+
+    // canvas overlays in overlayPane (particles + wind-field debug layer)
+    const addCanvas = (className) => {
+      const c = document.createElement("canvas");
+      c.className = className;
+      c.style.background = "transparent";
+      map.getPanes().overlayPane.appendChild(c);
+      return c;
+    };
+    const heatCanvas = addCanvas("particle-canvas plume-heat-canvas");
+    const canvas = addCanvas("particle-canvas");
+    const fieldCanvas = addCanvas("particle-canvas wind-field-canvas");
     canvasRef.current = canvas;
+    fieldCanvasRef.current = fieldCanvas;
+    heatCanvasRef.current = heatCanvas;
+    const canvases = [heatCanvas, canvas, fieldCanvas];
 
-    // init per-monitor particle & spawn state
-    monitors.forEach(m => {
-      m._particles = [];
-      m._spawnAccum = 0;
-    });
-
-    // size/align canvas
+    // size/align canvases
     const resizeCanvas = () => {
       const size = map.getSize();
-      canvas.width = size.x;
-      canvas.height = size.y;
       const topLeft = map.containerPointToLayerPoint([0, 0]);
-      L.DomUtil.setPosition(canvas, topLeft);
+      canvases.forEach(c => {
+        c.width = size.x;
+        c.height = size.y;
+        L.DomUtil.setPosition(c, topLeft);
+      });
+      // resizing clears the canvases, so the heatmap has to be redrawn
+      heatStateRef.current = { ...heatStateRef.current, key: null };
     };
 
     resizeCanvas();
     map.on("resize", resizeCanvas);
     map.on("zoomstart", resizeCanvas);
     map.on("zoomend", resizeCanvas);
-    new ResizeObserver(resizeCanvas)
-      .observe(document.getElementById("leaflet-map"));
+    const resizeObserver = new ResizeObserver(resizeCanvas);
+    resizeObserver.observe(mapElRef.current);
 
-    // keep aligned while panning
+    // keep aligned while panning; the heatmap moves with the map until it's redrawn at moveend
     map.on("move", () => {
       const topLeft = map.containerPointToLayerPoint([0, 0]);
-      L.DomUtil.setPosition(canvas, topLeft);
+      [canvas, fieldCanvas].forEach(c => L.DomUtil.setPosition(c, topLeft));
+    });
+
+    // viewport feeds the URL hash and the heatmap grid
+    heatViewRef.current = map.getBounds().toBBoxString();
+    map.on("moveend", () => {
+      heatViewRef.current = map.getBounds().toBBoxString();
+      const c = map.getCenter();
+      setViewport({ center: [c.lat, c.lng], zoom: map.getZoom() });
+    });
+
+    // unmount (e.g. an embedded widget's destroy()) takes the map and its canvases with it
+    return () => {
+      resizeObserver.disconnect();
+      map.remove();
+      mapRef.current = null;
+    };
+  }, []);
+
+  // a host can switch themes after mounting
+  useEffect(() => {
+    tileLayerRef.current.setUrl((THEMES[theme] || THEMES.dark).tiles);
+  }, [theme]);
+
+  // particle simulation (a Web Worker when available) lives as long as the app
+  useEffect(() => {
+    const engine = createParticleEngine((result) => {
+      particleFrameRef.current = result;
+      perfRef.current.step = result.stats;
+    });
+    engine.configure(PLUME);
+    engineRef.current = engine;
+    return () => engine.terminate();
+  }, []);
+
+  // the worker keeps its own copy of PLUME
+  useEffect(() => {
+    engineRef.current.configure(PLUME);
+  }, [plumeVersion]);
+
+  /* ---------------------------------------
+     1b) Load monitors from the configured source
+     --------------------------------------- */
+  const loadSource = useCallback(async (source) => {
+    lastSourceRef.current = source;
+    setDataStatus(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const { monitors: loaded, errors } = await loadMonitors(source);
+      setMonitors(loaded);
+      setDataStatus({ loading: false, count: loaded.length, errors, loadedAt: Date.now() });
+      saveMonitorSnapshot(loaded).catch(e => setOfflineIssue(`Could not keep data for offline use: ${e.message}`));
+    } catch (err) {
+      // keep the current monitors on a failed load; with none yet, use the last-known data
+      const snapshot = await loadMonitorSnapshot().catch(() => null);
+      setMonitors(prev => (prev.length || !snapshot ? prev : snapshot.monitors));
+      setDataStatus(prev => ({
+        ...prev,
+        loading: false,
+        error: err.message,
+        stale: true,
+        loadedAt: prev.loadedAt || (snapshot && snapshot.savedAt),
+        count: prev.count ?? (snapshot ? snapshot.monitors.length : undefined)
+      }));
+    }
+  }, []);
+
+  // records handed over by a host page (initial monitors or setData); no file/feed behind them
+  const applyRecords = useCallback((records) => {
+    const { monitors: loaded, errors } = validateMonitorRecords(recordsFromJSON(records));
+    lastSourceRef.current = null;
+    setMonitors(loaded);
+    setDataStatus({ loading: false, count: loaded.length, errors, loadedAt: Date.now() });
+    return { count: loaded.length, errors };
+  }, []);
+
+  useEffect(() => {
+    if (initialMonitors) {
+      try {
+        applyRecords(initialMonitors);
+      } catch (err) {
+        setDataStatus({ loading: false, error: err.message });
+      }
+    } else {
+      loadSource({ kind: "file", url: DATA_SOURCE_DEFAULTS.fileUrl });
+    }
+    if (!embedded) {
+      registerServiceWorker().catch(e => setOfflineIssue(`Service worker registration failed: ${e.message}`));
+    }
+  }, [loadSource, applyRecords]);
+
+  // connectivity: flag offline, and reload stale data once the network is back
+  useEffect(() => {
+    const goOnline = () => setOnline(true);
+    const goOffline = () => setOnline(false);
+    window.addEventListener("online", goOnline);
+    window.addEventListener("offline", goOffline);
+    return () => {
+      window.removeEventListener("online", goOnline);
+      window.removeEventListener("offline", goOffline);
+    };
+  }, []);
+
+  useEffect(() => {
+    if (online && dataStatus.stale && !dataStatus.loading && lastSourceRef.current) {
+      loadSource(lastSourceRef.current);
+    }
+  }, [online]);
+
+  // periodic reload of whichever source was loaded last
+  useEffect(() => {
+    if (!refreshMinutes) return;
+    const id = setInterval(() => {
+      if (lastSourceRef.current) loadSource(lastSourceRef.current);
+    }, refreshMinutes * 60 * 1000);
+    return () => clearInterval(id);
+  }, [refreshMinutes, loadSource]);
+
+  /* ---------------------------------------
+     1b') Alert rules, checked on every data load
+     --------------------------------------- */
+  // rules keep applying for this session even when they can't be stored
+  const updateAlertRules = useCallback((rules) => {
+    setAlertRules(rules);
+    try {
+      storeAlertRules(rules);
+      setAlertRulesError(null);
+    } catch (err) {
+      setAlertRulesError(err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    const active = evaluateAlertRules(alertRules, monitors, alertTrackingRef.current);
+    // log (and notify) only exceedances that weren't already active
+    const fresh = active.filter(a => !alertKeysRef.current.has(a.key));
+    alertKeysRef.current = new Set(active.map(a => a.key));
+    setActiveAlerts(active);
+    if (!fresh.length) return;
+    const at = Date.now();
+    setAlertLog(log => [...fresh.map(a => ({ ...a, at })), ...log].slice(0, ALERT_LOG_LIMIT));
+    if (notifyAlerts) fresh.forEach(notifyAlert);
+    fresh.forEach(alert => emit("alertFired", { alert: { ...alert, at } }));
+  }, [monitors, alertRules]);
+
+  /* ---------------------------------------
+     1c) Rebuild markers + particle state when data changes
+     --------------------------------------- */
+  // select one monitor (marker click or the monitor list)
+  const selectMonitor = useCallback((m) => {
+    setComparedIds([]);
+    setSelectedMonitor(m);
+    setShowAllTracking(false);
+    setShowWindRose(false); // reset rose when changing selection
+  }, []);
+
+  // add/remove a monitor from the comparison (seeded with the current selection)
+  const toggleCompared = useCallback((m) => {
+    const id = String(m.id);
+    const current = selectedMonitorRef.current;
+    setComparedIds(prev => {
+      const base = prev.length || !current ? prev : [String(current.id)];
+      return base.includes(id) ? base.filter(x => x !== id) : [...base, id];
     });
+    setSelectedMonitor(null);
+    setShowAllTracking(false);
+    setShowWindRose(false);
+  }, []);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    markersRef.current.forEach(({ marker }) => marker.remove());
+
+    // fresh particle & spawn state for the new monitors
+    engineRef.current.reset("m:");
 
-    // markers
     const markerHTML =
       `<div class="monitor-marker"><div class="ring"></div><div class="dot"></div></div>`;
     markersRef.current = monitors.map((m) => {
       const mk = L.marker([m.lat, m.lon], {
         icon: L.divIcon({ className: "", html: markerHTML, iconSize: [0, 0] })
       }).addTo(map);
-
-      mk.on("click", () => {
-        // activate only this monitor
-        setSelectedMonitor(m);
-        setShowAllTracking(false);
-        setShowWindRose(false); // reset rose when changing selection
+      // Leaflet makes the icon a focusable button (Enter clicks it); give it a name
+      mk.getElement().setAttribute("aria-label", `${m.name} monitor`);
+
+      // click: activate only this monitor; shift-click: toggle it in the comparison
+      mk.on("click", (e) => (e.originalEvent.shiftKey ? toggleCompared(m) : selectMonitor(m)));
+
+      // hover: which emission sources are upwind right now
+      mk.bindTooltip("", { direction: "top", className: "upwind-tooltip" });
+      mk.on("mouseover", () => {
+        const r = readingAt(m, timeRef.current);
+        const upwind = upwindSources(r, pointSourcesRef.current, timeRef.current);
+        const computed = computeAQI(m, timeRef.current);
+        const issues = aqiDiscrepancies(r, computed);
+        const quality = [
+          sensorTypeOf(m) !== "regulatory" && SENSOR_TYPES[sensorTypeOf(m)].label,
+          qaFlagOf(r) !== "valid" && `QA: ${QA_FLAGS[qaFlagOf(r)].label.toLowerCase()}`
+        ].filter(Boolean);
+        mk.setTooltipContent(
+          `<strong>${escapeHTML(m.name)}</strong><br/>` +
+          (quality.length ? `<span class="qa-note">${quality.join(" · ")}</span><br/>` : "") +
+          (computed.aqi !== null
+            ? `AQI ${computed.aqi} (${POLLUTANTS[computed.dominantPollutant].name})<br/>` : "") +
+          (issues.length ? `<span class="aqi-mismatch-note">⚠ ${escapeHTML(issues.join("; "))}</span><br/>` : "") +
+          (upwind.length
+            ? "Upwind sources:<br/>" + upwind
+              .map(u => `• ${escapeHTML(u.source.name)} (${u.distanceKm.toFixed(1)} km)`)
+              .join("<br/>")
+            : "No emitting sources upwind")
+        );
       });
 
       return { monitor: m, marker: mk };
     });
+
+    // keep the selection if that station is still present (or pick the one a link asked for)
+    const pending = pendingSelectionRef.current;
+    if (pending !== null && monitors.length) pendingSelectionRef.current = null;
+    setSelectedMonitor(prev => {
+      const id = pending !== null ? pending : prev && prev.id;
+      if (id === null || id === undefined) return null;
+      return monitors.find(m => String(m.id) === String(id)) || null;
+    });
+
+    // start playback at the latest reading
+    const range = getTimeRange(monitors);
+    setCurrentTime(range ? range.end : null);
+  }, [monitors, selectMonitor, toggleCompared]);
+
+  // monitors being compared (ids from shift-clicks or a link), in click order
+  const comparedMonitors = useMemo(
+    () => comparedIds.map(id => monitors.find(m => String(m.id) === id)).filter(Boolean),
+    [monitors, comparedIds]
+  );
+
+  // marker highlight: the selected monitor, the comparison set and active alerts
+  useEffect(() => {
+    const alerting = new Set(activeAlerts.map(a => a.monitorId));
+    markersRef.current.forEach(({ monitor, marker }) => {
+      const el = marker.getElement() && marker.getElement().querySelector(".monitor-marker");
+      if (!el) return;
+      el.classList.toggle("selected", !!selectedMonitor && selectedMonitor.id === monitor.id);
+      el.classList.toggle("compared", comparedIds.includes(String(monitor.id)));
+      el.classList.toggle("alerting", alerting.has(monitor.id));
+    });
+  }, [selectedMonitor, comparedIds, activeAlerts, monitors]);
+
+  // data quality on the markers: low-cost sensors, and the QA flag at the playback time
+  useEffect(() => {
+    markersRef.current.forEach(({ monitor, marker }) => {
+      const el = marker.getElement() && marker.getElement().querySelector(".monitor-marker");
+      if (!el) return;
+      const qa = qaFlagOf(readingAt(monitor, currentTime));
+      el.classList.toggle("sensor-lowcost", sensorTypeOf(monitor) === "lowcost");
+      el.classList.toggle("qa-suspect", qa === "suspect");
+      el.classList.toggle("qa-missing", qa === "missing");
+    });
+  }, [monitors, currentTime]);
+
+  /* ---------------------------------------
+     1d) Point sources (candidate emitters)
+     --------------------------------------- */
+  const loadSources = useCallback(async (source) => {
+    setSourcesStatus(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const { sources, errors } = await loadPointSources(source);
+      setPointSources(sources);
+      setSourcesStatus({ loading: false, count: sources.length, errors });
+    } catch (err) {
+      setSourcesStatus(prev => ({ ...prev, loading: false, error: err.message }));
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSources({ kind: "file", url: POINT_SOURCE_DEFAULTS.fileUrl });
+  }, [loadSources]);
+
+  pointSourcesRef.current = pointSources;
+
+  const updateSource = useCallback((id, patch) => {
+    setPointSources(prev => prev.map(src => (src.id === id ? { ...src, ...patch } : src)));
+  }, []);
+
+  const removeSource = useCallback((id) => {
+    setPointSources(prev => prev.filter(src => src.id !== id));
+  }, []);
+
+  // placing mode: the next map click drops a source there
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !placingSource) return;
+    const container = map.getContainer();
+    container.classList.add("placing-source");
+    const onClick = (e) => {
+      setPointSources(prev => [...prev, createPointSource(e.latlng.lat, e.latlng.lng, prev.length + 1)]);
+      setPlacingSource(false);
+    };
+    map.on("click", onClick);
+    return () => {
+      container.classList.remove("placing-source");
+      map.off("click", onClick);
+    };
+  }, [placingSource]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+
+    sourceMarkersRef.current.forEach(({ marker }) => marker.remove());
+    sourceMarkersRef.current = pointSources.map((src) => {
+      const mk = L.marker([src.lat, src.lon], {
+        icon: L.divIcon({
+          className: "",
+          html: `<div class="source-marker source-${escapeHTML(src.type)}"></div>`,
+          iconSize: [0, 0]
+        })
+      })
+        .bindTooltip(
+          `${escapeHTML(src.name)} (${escapeHTML(src.type)}) · ${src.emissionRate} g/s ${POLLUTANTS[src.pollutant].label}`,
+          { direction: "top" }
+        )
+        .addTo(map);
+      return { source: src, marker: mk };
+    });
+  }, [pointSources]);
+
+  /* ---------------------------------------
+     1e) Back trajectory from the selected monitor
+     --------------------------------------- */
+  const trajectory = useMemo(() => (
+    showTrajectory && selectedMonitor
+      ? computeBackTrajectory(monitors, selectedMonitor, currentTime, { hours: trajectoryHours })
+      : null
+  ), [showTrajectory, selectedMonitor, monitors, currentTime, trajectoryHours]);
+
+  const candidateSources = useMemo(() => (
+    trajectory ? findCandidateSources(trajectory.points, pointSources, trajectoryRadiusKm) : []
+  ), [trajectory, pointSources, trajectoryRadiusKm]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map) return;
+    if (trajectoryLayerRef.current) trajectoryLayerRef.current.remove();
+    trajectoryLayerRef.current = trajectory ? trajectoryLayer(trajectory).addTo(map) : null;
+  }, [trajectory]);
+
+  // highlight sources the path passes near
+  useEffect(() => {
+    const flagged = new Set(candidateSources.map(c => c.source.id));
+    sourceMarkersRef.current.forEach(({ source, marker }) => {
+      const el = marker.getElement() && marker.getElement().querySelector(".source-marker");
+      if (el) el.classList.toggle("flagged", flagged.has(source.id));
+    });
+  }, [candidateSources, pointSources]);
+
+  /* ---------------------------------------
+     1f) Shareable view state (URL hash + saved views)
+     --------------------------------------- */
+  const getViewState = useCallback(() => {
+    // no map before the first render or after unmounting: the view is everything else
+    const map = mapRef.current;
+    const c = map && map.getCenter();
+    return {
+      monitorId: selectedMonitor ? selectedMonitor.id : pendingSelectionRef.current,
+      showAll: showAllTracking,
+      compare: comparedIds,
+      visualization: visualizationType,
+      pollutant,
+      ...(map && { center: [c.lat, c.lng], zoom: map.getZoom() }),
+      plume: plumeOverrides()
+    };
+  }, [selectedMonitor, showAllTracking, comparedIds, visualizationType, pollutant]);
+
+  const applyViewState = useCallback((view) => {
+    applyPlumeOverrides(view.plume || {});
+    setPlumeVersion(v => v + 1);
+    setVisualizationType(view.visualization || "particles");
+    setPollutant(view.pollutant || "pm25");
+    setShowAllTracking(!!view.showAll);
+    setComparedIds(view.compare || []);
+    setShowWindRose(false);
+
+    const id = view.monitorId ?? null;
+    const loaded = markersRef.current.map(({ monitor }) => monitor);
+    if (id !== null && !loaded.length) pendingSelectionRef.current = id;
+    setSelectedMonitor(id === null ? null : loaded.find(m => String(m.id) === String(id)) || null);
+
+    if (mapRef.current) {
+      mapRef.current.setView(view.center || DEFAULT_VIEW.center, view.zoom ?? DEFAULT_VIEW.zoom);
+    }
   }, []);
 
+  // the tuning panel edits PLUME in place; bump so the hash picks it up
+  const onPlumeTuned = useCallback(() => setPlumeVersion(v => v + 1), []);
+
+  // write the hash whenever the view changes (replaceState: no history spam)
+  useEffect(() => {
+    if (!mapRef.current || embedded) return;
+    const hash = serializeViewState(getViewState());
+    if (window.location.hash.slice(1) !== hash) {
+      history.replaceState(null, "", `#${hash}`);
+    }
+  }, [getViewState, viewport, plumeVersion]);
+
+  // a pasted/edited link in the same tab
+  useEffect(() => {
+    if (embedded) return;
+    const onHashChange = () => applyViewState(parseViewState(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, [applyViewState]);
+
   /* ---------------------------------------
-     2) Animation frame
+     1g) Export caption (monitor, time, AQI, colour key)
+     --------------------------------------- */
+  const getExportCaption = useCallback(() => {
+    const { name, units } = POLLUTANTS[pollutant];
+    const t = timeRef.current;
+    const fc = forecastRef.current;
+    const parts = [fc ? `Forecast ${formatForecastHour(fc.time, fc.issuedAt)}`
+      : t !== null ? formatTimelineTime(t) : new Date().toLocaleString()];
+    if (selectedMonitor) {
+      const computed = computeAQI(selectedMonitor, t);
+      if (computed.aqi !== null) {
+        parts.push(`AQI ${computed.aqi} (${POLLUTANTS[computed.dominantPollutant].name})`);
+      }
+    }
+    parts.push(visualizationType === "heatmap" ? `modelled ${name}` : `${name} plumes`);
+    return {
+      title: selectedMonitor ? selectedMonitor.name
+        : comparedMonitors.length ? comparedMonitors.map(m => m.name).join(" vs ")
+        : showAllTracking ? "All monitors" : "Detroit Metro",
+      subtitle: parts.join(" · "),
+      legend: visualizationType === "heatmap" || aqiColors
+        ? { title: `${name} (${units}) by AQI category`, entries: pollutantLegend(pollutant) }
+        : null
+    };
+  }, [selectedMonitor, comparedMonitors, showAllTracking, pollutant, visualizationType, aqiColors]);
+
+  /* ---------------------------------------
+     1h) Neighbourhood exposure from the particle footprint
+     --------------------------------------- */
+  // "m:1" / "s:marathon" -> the monitor's or source's name
+  const emitterLabel = useCallback((id) => {
+    const key = id.slice(2);
+    const found = id.startsWith("m:")
+      ? markersRef.current.map(({ monitor }) => monitor).find(m => String(m.id) === key)
+      : pointSourcesRef.current.find(src => String(src.id) === key);
+    return found ? found.name : id;
+  }, []);
+
+  const loadExposure = useCallback(async (source) => {
+    setExposureStatus({ loading: true });
+    try {
+      const areas = await loadExposureAreas(source);
+      exposureRef.current = { areas, grid: buildExposureGrid(areas), tally: createExposureTally(areas), active: false };
+      setExposureAreas(areas);
+      setExposureStatus({ loading: false });
+    } catch (err) {
+      setExposureStatus({ loading: false, error: err.message });
+    }
+  }, []);
+
+  // frame() tallies only while the panel is open and accumulating
+  useEffect(() => {
+    if (exposureRef.current) exposureRef.current.active = exposureRunning && showExposurePanel;
+  }, [exposureAreas, exposureRunning, showExposurePanel]);
+
+  // choropleth + ranking, refreshed on a timer rather than every frame
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !exposureAreas || !showExposurePanel) return;
+    const layer = exposureLayer(exposureAreas, (areaId, latlng) => {
+      const { areas, grid, tally } = exposureRef.current;
+      L.popup()
+        .setLatLng(latlng)
+        .setContent(exposurePopupHTML(exposureRows(areas, tally, grid)[areaId], tally.seconds, emitterLabel))
+        .openOn(map);
+    }).addTo(map);
+    const refresh = () => {
+      const { areas, grid, tally } = exposureRef.current;
+      styleExposureLayer(layer, exposureScores(tally, grid));
+      setExposureSummary({ rows: exposureRows(areas, tally, grid), seconds: tally.seconds });
+    };
+    refresh();
+    const id = setInterval(refresh, EXPOSURE_DEFAULTS.styleEveryMs);
+    return () => {
+      clearInterval(id);
+      layer.remove();
+    };
+  }, [exposureAreas, showExposurePanel, emitterLabel]);
+
+  const resetExposure = () => {
+    const exposure = exposureRef.current;
+    if (!exposure) return;
+    exposure.tally = createExposureTally(exposure.areas);
+    setExposureSummary({ rows: exposureRows(exposure.areas, exposure.tally, exposure.grid), seconds: 0 });
+  };
+
+  const exportExposure = () => {
+    const { areas, grid, tally } = exposureRef.current;
+    const csv = exposureCSV(areas, tally, grid, emitterLabel);
+    downloadBlob(new Blob([csv], { type: "text/csv" }), exportFileName("neighbourhood-exposure", "csv"));
+  };
+
+  /* ---------------------------------------
+     1i) Buildings, water and land use under the particle model
+     --------------------------------------- */
+  const loadSurface = useCallback(async (source) => {
+    setSurfaceStatus({ loading: true });
+    try {
+      const { layers, skipped } = await loadSurfaceLayers(source);
+      const grid = buildSurfaceGrid(layers);
+      setSurface({ layers, skipped, grid, coverage: surfaceCoverage(grid) });
+      setSurfaceStatus({ loading: false });
+    } catch (err) {
+      setSurfaceStatus({ loading: false, error: err.message });
+    }
+  }, []);
+
+  useEffect(() => {
+    engineRef.current.setSurface(surface && surfaceApplied ? surface.grid : null);
+  }, [surface, surfaceApplied]);
+
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || !surface || !showSurfaceOverlay) return;
+    const layer = surfaceLayer(surface.layers).addTo(map);
+    return () => layer.remove();
+  }, [surface, showSurfaceOverlay]);
+
+  /* ---------------------------------------
+     1j) Forecast mode: plumes from forecast wind and pollutant hours
+     --------------------------------------- */
+  const loadForecastSource = useCallback(async (source) => {
+    setForecastStatus({ loading: true });
+    try {
+      setForecast(await loadForecast(source));
+      setForecastStatus({ loading: false });
+    } catch (err) {
+      setForecastStatus({ loading: false, error: err.message });
+    }
+  }, []);
+
+  // forecast copies of the loaded monitors and the hours they cover
+  const forecastMonitorList = useMemo(
+    () => (forecast ? forecastMonitors(monitors, forecast) : []),
+    [monitors, forecast]
+  );
+  const forecastHourList = useMemo(() => forecastHours(forecastMonitorList), [forecastMonitorList]);
+  const forecastById = useMemo(
+    () => new Map(forecastMonitorList.map(m => [String(m.id), m])),
+    [forecastMonitorList]
+  );
+  // the panel being open is forecast mode
+  const forecastActive = showForecastPanel && forecastHourList.length > 0;
+
+  // start at the first hour; keep the chosen one while a reload still covers it
+  useEffect(() => {
+    setForecastTime(t => (forecastHourList.includes(t) ? t : forecastHourList[0] ?? null));
+  }, [forecastHourList]);
+
+  // frame() reads the forecast through a ref, like playback time
+  forecastRef.current = forecastActive && forecastTime !== null
+    ? { time: forecastTime, issuedAt: forecast.issuedAt, monitors: forecastMonitorList, byId: forecastById }
+    : null;
+
+  // history and forecast plumes don't mix
+  useEffect(() => {
+    engineRef.current.reset("m:");
+  }, [forecastActive]);
+
+  const forecastOptions = useMemo(() => ({ stability: plumeStability }), [plumeStability]);
+  const forecastRisk = useMemo(
+    () => (forecastActive
+      ? forecastExceedances(forecastMonitorList, pollutant, forecastHourList, forecastThreshold, forecastOptions)
+      : []),
+    [forecastActive, forecastMonitorList, pollutant, forecastHourList, forecastThreshold, forecastOptions]
+  );
+
+  // dashed ring on the monitors over the threshold at the hour on screen
+  useEffect(() => {
+    const atRisk = new Set(forecastActive && forecastTime !== null
+      ? forecastReceptorsAt(forecastMonitorList, pollutant, forecastTime, forecastOptions)
+        .filter(r => r.aqi !== null && r.aqi >= forecastThreshold)
+        .map(r => r.monitor.id)
+      : []);
+    markersRef.current.forEach(({ monitor, marker }) => {
+      const el = marker.getElement() && marker.getElement().querySelector(".monitor-marker");
+      if (el) el.classList.toggle("forecast-risk", atRisk.has(monitor.id));
+    });
+  }, [forecastActive, forecastMonitorList, forecastTime, pollutant, forecastThreshold, forecastOptions]);
+
+  /* ---------------------------------------
+     2a) Gaussian plume heatmap (redrawn only when its inputs change)
+     --------------------------------------- */
+  // The grid is keyed on the view as of the last moveend (the heat canvas pans
+  // with the map in between) and on playback time in HEATMAP_TIME_STEP_MS steps,
+  // redrawn at most every HEATMAP_MIN_REDRAW_MS while only the time moves.
+  const drawHeatmap = useCallback((map, sources, topLeft, t) => {
+    const size = map.getSize();
+    const key = [
+      pollutant, palette, plumeStability, heatStyle, heatViewRef.current,
+      size.x, size.y, sources.map(m => m.id).join(",")
+    ].join("|");
+    const timeKey = t === null ? null : Math.floor(t / HEATMAP_TIME_STEP_MS);
+    const state = heatStateRef.current;
+    const now = performance.now();
+    if (state.key === key && state.markers === markersRef.current &&
+        (state.timeKey === timeKey || now - state.drawnAt < HEATMAP_MIN_REDRAW_MS)) return;
+
+    const opts = resolvePlumeOptions({ stability: plumeStability });
+    const plumeSources = sources
+      .map(m => {
+        const r = readingAt(m, t);
+        return plumeSourceFromReading(r, r[pollutant], opts);
+      })
+      .filter(Boolean);
+    heatStateRef.current = { key, timeKey, drawnAt: now, markers: markersRef.current, sources: plumeSources };
+
+    // realign the canvas with the view the grid is computed for
+    L.DomUtil.setPosition(heatCanvasRef.current, topLeft);
+    const hctx = heatCanvasRef.current.getContext("2d");
+    hctx.setTransform(1, 0, 0, 1, 0, 0);
+    hctx.clearRect(0, 0, size.x, size.y);
+    if (!plumeSources.length) return;
+
+    const b = map.getBounds();
+    const grid = computePlumeGrid(
+      plumeSources,
+      { south: b.getSouth(), north: b.getNorth(), west: b.getWest(), east: b.getEast() },
+      opts
+    );
+    hctx.translate(-topLeft.x, -topLeft.y);
+    const project = (lat, lon) => map.latLngToLayerPoint([lat, lon]);
+    const ramp = pollutantRamp(pollutant);
+    if (heatStyle === "contours") drawConcentrationContours(hctx, grid, project, ramp);
+    else drawConcentrationHeatmap(hctx, grid, project, ramp);
+  }, [pollutant, palette, plumeStability, heatStyle]);
+
+  // leaving heatmap mode: clear its layer and the cursor readout
+  useEffect(() => {
+    if (visualizationType === "heatmap") return;
+    const hc = heatCanvasRef.current;
+    if (hc) hc.getContext("2d").clearRect(0, 0, hc.width, hc.height);
+    heatStateRef.current = { key: null, sources: [] };
+    setCursorConcentration(null);
+  }, [visualizationType]);
+
+  // heatmap mode: read the modelled concentration under the cursor
+  useEffect(() => {
+    const map = mapRef.current;
+    if (!map || visualizationType !== "heatmap") return;
+    const onMove = (e) => setCursorConcentration(
+      concentrationAt(heatStateRef.current.sources, e.latlng.lat, e.latlng.lng,
+        { stability: plumeStability })
+    );
+    const onOut = () => setCursorConcentration(null);
+    map.on("mousemove", onMove);
+    map.on("mouseout", onOut);
+    return () => {
+      map.off("mousemove", onMove);
+      map.off("mouseout", onOut);
+    };
+  }, [visualizationType, plumeStability]);
+
+  /* ---------------------------------------
+     2b) Animation frame
      --------------------------------------- */
   const frame = useCallback(() => {
     const canvas = canvasRef.current;
@@ -232,121 +967,131 @@ const AQIPollutionTracker = () => {
     // Now align to Leaflet pane
     ctx.translate(-topLeft.x, -topLeft.y);
 
+    // playback time, or the forecast hour in forecast mode
+    const fc = forecastRef.current;
+    const t = fc ? fc.time : timeRef.current;
+
+    // Wind field across every monitor (or forecast), rebuilt when the time or data changes
+    const stations = fc ? fc.monitors : markersRef.current;
+    let wf = windFieldRef.current;
+    if (!wf || wf.time !== t || wf.markers !== stations) {
+      const readings = fc
+        ? fc.monitors.map(m => readingAt(m, t))
+        : markersRef.current.map(({ monitor }) => readingAt(monitor, t));
+      wf = { time: t, markers: stations, field: buildWindField(readings) };
+      windFieldRef.current = wf;
+      engineRef.current.setField(wf.field);
+    }
+    const field = wf.field;
+
+    // Optional debug overlay of the field (own canvas, redrawn each frame)
+    const fctx = fieldCanvasRef.current.getContext("2d");
+    fctx.setTransform(1, 0, 0, 1, 0, 0);
+    fctx.clearRect(0, 0, canvas.width, canvas.height);
+    if (showWindField && field) {
+      fctx.translate(-topLeft.x, -topLeft.y);
+      drawWindField(fctx, field, (lat, lon) => map.latLngToLayerPoint([lat, lon]));
+    }
+
     // Bail out if too zoomed out
     if (map.getZoom() < PLUME.minZoomActive) {
       animationRef.current = requestAnimationFrame(frame);
       return;
     }
 
-    // Active sources: ONLY selected, unless "Show All" is on
-    const sources = showAllTracking
-      ? markersRef.current.map(({ monitor }) => monitor)
+    // Active sources: the comparison set if there is one, else all ("Show All") or the selection
+    const active = comparedMonitors.length ? comparedMonitors
+      : showAllTracking ? markersRef.current.map(({ monitor }) => monitor)
       : selectedMonitor ? [selectedMonitor] : [];
+    // forecast mode plumes the same monitors from their forecasts (where they have one)
+    const sources = fc ? active.map(m => fc.byId.get(String(m.id))).filter(Boolean) : active;
 
+    // time since the last simulation step (avoid huge steps on tab switches)
     const now = performance.now();
-    const prev = lastTsRef.current;
-    let dt = (now - prev) / 1000;
-    dt = clamp(dt, 0, 0.08); // avoid huge steps on tab switches
-    lastTsRef.current = now;
+    const dt = clamp((now - lastTsRef.current) / 1000, 0, 0.08);
 
-    for (const m of sources) {
-      const windAngle = (m.windDirection * Math.PI) / 180;
-
-      // scale density by pollution
-      const scale = Math.min(1, (m.pm25 || m.aqi || 100) / 150);
+    // Heatmap mode: Gaussian plume grid instead of particles
+    if (visualizationType === "heatmap") {
+      drawHeatmap(map, sources, topLeft, t);
+      ctx.globalCompositeOperation = "source-over";
+      animationRef.current = requestAnimationFrame(frame);
+      return;
+    }
 
-      // initial seeding if needed
-      if (m._particles.length === 0 && PLUME.initialBurst > 0) {
-        const n0 = Math.round(PLUME.initialBurst * scale);
-        for (let i = 0; i < n0; i++) {
-          m._particles.push(createParticleForMonitor(m, windAngle));
-        }
+    // Emitters: active monitors, plus point sources when animated. Only the
+    // selected pollutant spawns; the rest let their plumes drift away.
+    const emitters = [];
+    const colors = [];
+    for (const m of sources) {
+      // readings at the current playback time (snapshot when there's no history)
+      const r = readingAt(m, t);
+      // density and colour follow the pollutant's AQI sub-index
+      const aqi = aqiSubIndex(pollutant, r[pollutant]);
+      emitters.push({
+        id: `m:${m.id}`,
+        lat: m.lat,
+        lon: m.lon,
+        windAngle: (r.windDirection * Math.PI) / 180,
+        scale: aqi === null ? 0 : clamp(aqi / 200, 0.05, 1)
+      });
+      // fainter for suspect or uncertain readings (excluded ones don't spawn at all)
+      const rgb = aqiColors && aqi !== null ? hexToRgb(aqiCategory(aqi).color) : PLUME.color;
+      colors.push({ ...rgb, a: qualityOpacity(r) });
+    }
+    if (animateSources && field) {
+      for (const src of pointSources) {
+        // off-schedule sources stop spawning but let their plume drift away
+        const rate = src.pollutant === pollutant ? emissionAt(src, t) : 0;
+        emitters.push({
+          id: `s:${src.id}`,
+          lat: src.lat,
+          lon: src.lon,
+          windAngle: sampleWindField(field, src.lat, src.lon).angle,
+          scale: Math.min(1, rate / POINT_SOURCE_DEFAULTS.referenceRate)
+        });
+        colors.push(PLUME.sourceColor);
       }
+    }
 
-      // continuous spawning at a steady rate
-      m._spawnAccum += (PLUME.spawnPerSec * scale) * dt;
-      let toSpawn = Math.floor(m._spawnAccum);
-      if (toSpawn > 0) {
-        const room =
-          PLUME.maxParticlesPerMonitor - m._particles.length;
-        toSpawn = Math.min(toSpawn, Math.max(0, room));
-        for (let i = 0; i < toSpawn; i++) {
-          m._particles.push(createParticleForMonitor(m, windAngle));
-        }
-        m._spawnAccum -= toSpawn;
+    // draw the latest finished step, then queue the next one
+    const engine = engineRef.current;
+    const result = particleFrameRef.current;
+    if (result) {
+      particleFrameRef.current = null;
+      drawParticles(ctx, result.buffer, result.count, result.colors, fc ? "forecast" : "plume");
+      const exposure = exposureRef.current;
+      if (exposure && exposure.active) {
+        accumulateExposure(exposure.tally, exposure.grid, result.buffer, result.count, result.step);
       }
-
-      // update & draw
-      for (const p of m._particles) {
-        // smooth vector field (base wind + coherent noise)
-        const n =
-          Math.sin(
-            (p.lat * PLUME.noiseSpaceLat +
-             p.lon * PLUME.noiseSpaceLon +
-             now * PLUME.noiseTime) * 2 * Math.PI
-          ) * 0.6 +
-          Math.cos(
-            (p.lat * (PLUME.noiseSpaceLat * 0.8) -
-             now * PLUME.noiseTime * 1.3) * 2 * Math.PI
-          ) * 0.4;
-
-        const localAngle = windAngle + n * PLUME.noiseAngleScale * PLUME.spreadAngleMult;
-        // distance from source (before moving) to scale sideways drift
-        const dLatSrc0 = p.lat - m.lat;
-        const dLonSrc0 = p.lon - m.lon;
-        const dist0 = Math.hypot(dLatSrc0, dLonSrc0);
-        const distNorm = Math.min(1, dist0 / PLUME.maxRangeDeg); // 0 near source → 1 far
-
-
-        // integrate (deg); correct lon step for latitude
-        const cosLat = Math.max(0.15, Math.cos((p.lat * Math.PI) / 180));
-
-        // forward motion along localAngle
-        const dLat = Math.sin(localAngle) * p.speed;
-        const dLon = Math.cos(localAngle) * (p.speed / cosLat);
-        
-        // small sideways drift (perpendicular to localAngle), grows with distance
-        const perpLat = Math.sin(localAngle + Math.PI / 2);
-        const perpLon = Math.cos(localAngle + Math.PI / 2) / cosLat;
-        const cw = PLUME.crosswindDrift * distNorm * p.speed;
-
-        p.lat += dLat + perpLat * cw;
-        p.lon += dLon + perpLon * cw;
-
-        p.life += 0.002;
-
-        // death conditions
-        const dLatSrc = p.lat - m.lat;
-        const dLonSrc = p.lon - m.lon;
-        const dist = Math.hypot(dLatSrc, dLonSrc);
-        if (dist > PLUME.maxRangeDeg || p.life > 2.2) {
-          p.dead = true;
-          continue;
-        }
-
-        // draw
-        const pt = map.latLngToLayerPoint([p.lat, p.lon]);
-        const density = 1 - Math.min(dist / PLUME.maxRangeDeg, 1);
-        const size = clamp(2 + 5 * density, PLUME.minSize, PLUME.maxSize);
-        const alpha = Math.max(0.10, 0.85 * density * (1 - p.life * 0.5));
-        const { r, g, b } = PLUME.color;
-
-        const grad = ctx.createRadialGradient(pt.x, pt.y, 0, pt.x, pt.y, size);
-        grad.addColorStop(0, `rgba(${r},${g},${b},${alpha})`);
-        grad.addColorStop(1, `rgba(${r},${g},${b},0)`);
-        ctx.fillStyle = grad;
-        ctx.beginPath();
-        ctx.arc(pt.x, pt.y, size, 0, Math.PI * 2);
-        ctx.fill();
+      engine.release(result.buffer);
+    }
+    const origin = map.getPixelOrigin();
+    const view = { zoom: map.getZoom(), originX: origin.x, originY: origin.y };
+    if (engine.step({ dt, now, view, emitters }, colors)) lastTsRef.current = now;
+
+    // FPS / particle-count overlay, refreshed twice a second
+    const perf = perfRef.current;
+    perf.frames++;
+    if (now - perf.since >= 500) {
+      if (showStats && perf.step) {
+        setPerfStats({
+          fps: Math.round((perf.frames * 1000) / (now - perf.since)),
+          particles: perf.step.alive,
+          capacity: perf.step.capacity,
+          stepMs: perf.step.stepMs,
+          mode: perf.step.mode,
+          fallbackReason: perf.step.fallbackReason,
+          emitters: emitters.length
+        });
       }
-
-      // prune dead
-      m._particles = m._particles.filter(p => !p.dead);
+      perf.frames = 0;
+      perf.since = now;
     }
 
     ctx.globalCompositeOperation = "source-over";
     animationRef.current = requestAnimationFrame(frame);
-  }, [selectedMonitor, showAllTracking]);
+  }, [selectedMonitor, showAllTracking, comparedMonitors, showWindField, visualizationType, drawHeatmap,
+      pointSources, animateSources, pollutant, aqiColors, showStats]);
 
   // (re)start animation on dep changes
   useEffect(() => {
@@ -355,14 +1100,112 @@ const AQIPollutionTracker = () => {
     return () => cancelAnimationFrame(animationRef.current);
   }, [frame]);
 
+  // sidebar values follow the timeline; AQI is recomputed from the raw concentrations
+  const selectedReading = selectedMonitor ? readingAt(selectedMonitor, currentTime) : null;
+  const selectedAQI = useMemo(
+    () => (selectedMonitor ? computeAQI(selectedMonitor, currentTime) : null),
+    [selectedMonitor, currentTime]
+  );
+  const aqiIssues = selectedAQI ? aqiDiscrepancies(selectedReading, selectedAQI) : [];
+
+  // screen-reader announcement: the selection, and its AQI category as playback moves it
+  const selectedCategory = selectedAQI && selectedAQI.aqi !== null ? getAQILabel(selectedAQI.aqi) : null;
+  useEffect(() => {
+    if (selectedMonitor) {
+      setAnnouncement(selectedCategory
+        ? `${selectedMonitor.name}: AQI ${selectedAQI.aqi}, ${selectedCategory}, ` +
+          `mainly ${POLLUTANTS[selectedAQI.dominantPollutant].name}.`
+        : `${selectedMonitor.name}: no AQI available.`);
+    } else if (comparedMonitors.length) {
+      setAnnouncement(`Comparing ${comparedMonitors.map(m => m.name).join(", ")}.`);
+    } else {
+      setAnnouncement("");
+    }
+  }, [selectedMonitor, selectedCategory, comparedMonitors]);
+
+  const changePalette = (name) => {
+    const applied = setAQIPalette(name);
+    storePalettePreference(applied);
+    setPalette(applied);
+  };
+
+  /* ---------------------------------------
+     1k) Host page API (events + imperative methods)
+     --------------------------------------- */
+  useEffect(() => {
+    const id = selectedMonitor ? selectedMonitor.id : null;
+    // a reload that keeps the same station selected isn't a new selection
+    if (id === lastSelectedIdRef.current) return;
+    lastSelectedIdRef.current = id;
+    emit("monitorSelected", { monitor: selectedMonitor });
+  }, [selectedMonitor]);
+
+  useEffect(() => {
+    if (showAllTracking === lastTrackingRef.current) return;
+    lastTrackingRef.current = showAllTracking;
+    emit("trackingToggled", { showAll: showAllTracking });
+  }, [showAllTracking]);
+
+  useEffect(() => {
+    if (dataStatus.loading || dataStatus.loadedAt === undefined) return;
+    emit("dataLoaded", { count: dataStatus.count, errors: dataStatus.errors || [], stale: !!dataStatus.stale });
+  }, [dataStatus]);
+
+  useImperativeHandle(ref, () => ({
+    /** Select a monitor by id (null clears); false when no such monitor is loaded. */
+    selectMonitor(id) {
+      if (id === null || id === undefined) {
+        setSelectedMonitor(null);
+        return true;
+      }
+      const loaded = markersRef.current.map(({ monitor }) => monitor);
+      const m = loaded.find(x => String(x.id) === String(id));
+      if (m) selectMonitor(m);
+      // not loaded yet: pick it up with the first data
+      else if (!loaded.length) pendingSelectionRef.current = id;
+      return !!m;
+    },
+    /** Replace the monitors with raw records; returns { count, errors }. */
+    setData: (records) => applyRecords(records),
+    /** Move playback to `t` (epoch ms, Date or ISO string), clamped to the data; returns the time used. */
+    setTime(t) {
+      const ms = t instanceof Date ? t.getTime() : typeof t === "string" ? Date.parse(t) : Number(t);
+      if (!timeRange || !Number.isFinite(ms)) return null;
+      const clamped = clamp(ms, timeRange.start, timeRange.end);
+      setCurrentTime(clamped);
+      return clamped;
+    },
+    setTracking(on) {
+      if (on) {
+        setSelectedMonitor(null);
+        setComparedIds([]);
+        setShowWindRose(false);
+      }
+      setShowAllTracking(!!on);
+    },
+    /** The shareable view (what the URL hash carries standalone). */
+    getState: () => getViewState()
+  }), [selectMonitor, applyRecords, timeRange, getViewState]);
+
   /* ---------------------------------------
      RENDER
      --------------------------------------- */
   return (
-    <div className="container">
+    <div className={`container aqi-tracker theme-${THEMES[theme] ? theme : "dark"}`}>
+      <div className="sr-only" role="status" aria-live="polite">{announcement}</div>
+
       {/* Header */}
       <div className="header">
-        <h1>Detroit Metro AQI & Pollution Transport</h1>
+        <h1>
+          Detroit Metro AQI & Pollution Transport
+          {(!online || dataStatus.stale) && (
+            <span className="stale-indicator" title={dataStatus.error || "No network connection"}>
+              {online ? "Feed unavailable" : "Offline"}
+              {dataStatus.loadedAt && ` · data as of ${new Date(dataStatus.loadedAt).toLocaleString()}`}
+            </span>
+          )}
+          {offlineIssue && <span className="stale-indicator" title={offlineIssue}>Offline use unavailable</span>}
+        </h1>
         <div className="info-bar">
           <div className="info-box">
             <svg className="info-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -371,8 +1214,8 @@ const AQIPollutionTracker = () => {
               <line x1="12" y1="8" x2="12.01" y2="8"></line>
             </svg>
             <p>
-              Click a monitor to animate only that site’s pollution transport. Use “Show Pollutant Tracking”
-              to view all monitors at once.
+              Click a monitor to animate only that site’s pollution transport. Shift-click several to
+              compare them side by side. Use “Show Pollutant Tracking” to view all monitors at once.
             </p>
           </div>
           <button
@@ -382,6 +1225,7 @@ const AQIPollutionTracker = () => {
                 const next = !prev;
                 if (next) {
                   setSelectedMonitor(null);
+                  setComparedIds([]);
                   setShowWindRose(false);
                 }
                 return next;
@@ -391,16 +1235,64 @@ const AQIPollutionTracker = () => {
             {showAllTracking ? "✓ Showing All Monitors" : "Show Pollutant Tracking"}
           </button>
         </div>
+
+        {/* Saved views + shareable link */}
+        <SavedViewsPicker getState={getViewState} onApply={applyViewState} />
       </div>
 
       {/* Controls */}
       <div className="controls">
+        <label className="control-field" title="Pollutant whose concentration drives the plumes">
+          Pollutant
+          <select
+            className="control-select"
+            value={pollutant}
+            onChange={(e) => setPollutant(e.target.value)}
+          >
+            {POLLUTANT_KEYS.map(k => <option key={k} value={k}>{POLLUTANTS[k].label}</option>)}
+          </select>
+        </label>
         <button
           className={`btn-control ${visualizationType === "particles" ? "active" : ""}`}
           onClick={() => setVisualizationType("particles")}
         >
           Particle Transport
         </button>
+        {visualizationType === "particles" && (
+          <label className="control-field" title="Colour plumes by AQI category instead of the plume colour">
+            <input type="checkbox" checked={aqiColors} onChange={(e) => setAqiColors(e.target.checked)} />
+            AQI colours
+          </label>
+        )}
+        <button
+          className={`btn-control ${visualizationType === "heatmap" ? "active" : ""}`}
+          onClick={() => setVisualizationType("heatmap")}
+          title="Steady-state Gaussian plume concentration"
+        >
+          Concentration Heatmap
+        </button>
+        {visualizationType === "heatmap" && (
+          <>
+            <select
+              className="control-select"
+              value={plumeStability}
+              onChange={(e) => setPlumeStability(e.target.value)}
+              title="Pasquill–Gifford stability class"
+            >
+              {Object.entries(STABILITY_CLASSES).map(([k, c]) => (
+                <option key={k} value={k}>{c.label}</option>
+              ))}
+            </select>
+            <select
+              className="control-select"
+              value={heatStyle}
+              onChange={(e) => setHeatStyle(e.target.value)}
+            >
+              <option value="heatmap">Heatmap</option>
+              <option value="contours">Contours</option>
+            </select>
+          </>
+        )}
         <button
           className={`btn-control ${showWindRose ? "active" : ""}`}
           onClick={() => setShowWindRose(v => !v)}
@@ -409,12 +1301,232 @@ const AQIPollutionTracker = () => {
         >
           {showWindRose ? "Hide Wind Rose" : "View Wind Rose"}
         </button>
+        <button
+          className={`btn-control ${showWindField ? "active" : ""}`}
+          onClick={() => setShowWindField(v => !v)}
+          title="Debug overlay of the interpolated wind field"
+        >
+          {showWindField ? "Hide Wind Field" : "Show Wind Field"}
+        </button>
+        <button
+          className={`btn-control ${showTrajectory ? "active" : ""}`}
+          onClick={() => setShowTrajectory(v => !v)}
+          disabled={!selectedMonitor}
+          title={selectedMonitor ? "Trace where this monitor's air came from" : "Select a monitor to trace its back trajectory"}
+        >
+          {showTrajectory ? "Hide Back Trajectory" : "Back Trajectory"}
+        </button>
+        {showTrajectory && selectedMonitor && (
+          <>
+            <select
+              className="control-select"
+              value={trajectoryHours}
+              onChange={(e) => setTrajectoryHours(Number(e.target.value))}
+              title="Hours to trace back"
+            >
+              {TRAJECTORY_HOUR_OPTIONS.map(h => <option key={h} value={h}>{h} h back</option>)}
+            </select>
+            <label className="control-field" title="Flag point sources within this distance of the path">
+              within
+              <input
+                type="number"
+                className="control-number"
+                min="0.1"
+                step="0.5"
+                value={trajectoryRadiusKm}
+                onChange={(e) => setTrajectoryRadiusKm(Math.max(0.1, Number(e.target.value) || 0))}
+              />
+              km
+            </label>
+          </>
+        )}
+        <button
+          className={`btn-control ${showSourcesPanel ? "active" : ""}`}
+          onClick={() => setShowSourcesPanel(v => !v)}
+        >
+          Emission Sources ({pointSources.length})
+        </button>
+        <button
+          className={`btn-control ${showExposurePanel ? "active" : ""}`}
+          onClick={() => {
+            setShowExposurePanel(v => !v);
+            if (!exposureRef.current && !exposureStatus.loading) loadExposure({ kind: "file" });
+          }}
+          title="Which neighbourhoods the plumes reach"
+        >
+          Exposure
+        </button>
+        <button
+          className={`btn-control ${showSurfacePanel ? "active" : ""}`}
+          onClick={() => {
+            setShowSurfacePanel(v => !v);
+            if (!surface && !surfaceStatus.loading) loadSurface({ kind: "file" });
+          }}
+          title="Buildings, water and land use that shape the particle plumes"
+        >
+          Terrain
+        </button>
+        <button
+          className={`btn-control ${showForecastPanel ? "active" : ""}`}
+          onClick={() => {
+            setShowForecastPanel(v => !v);
+            if (!forecast && !forecastStatus.loading) loadForecastSource({ kind: "file" });
+          }}
+          title="Where the plumes are forecast to go over the next 48 h"
+        >
+          Forecast{forecastActive && forecastRisk.length ? ` (${forecastRisk.length} at risk)` : ""}
+        </button>
+        <button
+          className={`btn-control ${showAlertsPanel ? "active" : ""} ${activeAlerts.length ? "alerting" : ""}`}
+          onClick={() => setShowAlertsPanel(v => !v)}
+          title="Threshold alert rules and log"
+        >
+          Alerts{activeAlerts.length ? ` (${activeAlerts.length} active)` : ""}
+        </button>
+        <button
+          className={`btn-control ${showStats ? "active" : ""}`}
+          onClick={() => setShowStats(v => !v)}
+          title="Frame rate and particle count"
+        >
+          {showStats ? "Hide Stats" : "Stats"}
+        </button>
+        <label className="control-field" title="Colours for the AQI scale, legends and plumes">
+          Palette
+          <select className="control-select" value={palette} onChange={(e) => changePalette(e.target.value)}>
+            {Object.entries(AQI_PALETTES).map(([k, p]) => <option key={k} value={k}>{p.label}</option>)}
+          </select>
+        </label>
+        <ExportControls getMap={() => mapRef.current} getCaption={getExportCaption} />
       </div>
 
+      {/* Data source */}
+      <DataSourcePanel
+        status={dataStatus}
+        onLoad={loadSource}
+        refreshMinutes={refreshMinutes}
+        onRefreshChange={setRefreshMinutes}
+      />
+
+      {/* Neighbourhood exposure */}
+      {showExposurePanel && (
+        <ExposurePanel
+          status={exposureStatus}
+          rows={exposureSummary.rows}
+          seconds={exposureSummary.seconds}
+          running={exposureRunning}
+          onLoad={loadExposure}
+          onToggleRunning={() => setExposureRunning(v => !v)}
+          onReset={resetExposure}
+          onExport={exportExposure}
+        />
+      )}
+
+      {/* Surface layers */}
+      {showSurfacePanel && (
+        <SurfacePanel
+          status={surfaceStatus}
+          surface={surface}
+          applied={surfaceApplied}
+          showOverlay={showSurfaceOverlay}
+          onLoad={loadSurface}
+          onToggleApplied={() => setSurfaceApplied(v => !v)}
+          onToggleOverlay={() => setShowSurfaceOverlay(v => !v)}
+        />
+      )}
+
+      {/* Plume forecast */}
+      {showForecastPanel && (
+        <ForecastPanel
+          status={forecastStatus}
+          forecast={forecast}
+          hours={forecastHourList}
+          time={forecastTime}
+          onTimeChange={setForecastTime}
+          onLoad={loadForecastSource}
+          pollutant={pollutant}
+          threshold={forecastThreshold}
+          onThresholdChange={setForecastThreshold}
+          exceedances={forecastRisk}
+        />
+      )}
+
+      {/* Threshold alerts */}
+      {showAlertsPanel && (
+        <AlertsPanel
+          rules={alertRules}
+          storageError={alertRulesError}
+          monitors={monitors}
+          active={activeAlerts}
+          log={alertLog}
+          notify={notifyAlerts}
+          onRulesChange={updateAlertRules}
+          onNotifyChange={setNotifyAlerts}
+          onClearLog={() => setAlertLog([])}
+        />
+      )}
+
+      {/* Emission sources */}
+      {showSourcesPanel && (
+        <SourcesPanel
+          sources={pointSources}
+          status={sourcesStatus}
+          placing={placingSource}
+          animate={animateSources}
+          onLoad={loadSources}
+          onUpdate={updateSource}
+          onRemove={removeSource}
+          onTogglePlacing={() => setPlacingSource(v => !v)}
+          onToggleAnimate={() => setAnimateSources(v => !v)}
+        />
+      )}
+
       {/* Main */}
       <div className="main-content">
-        <div className="map-container">
-          <div id="leaflet-map"></div>
+        {/* Keyboard/screen-reader route to the monitors */}
+        <MonitorList
+          monitors={monitors}
+          time={currentTime}
+          selectedId={selectedMonitor ? selectedMonitor.id : null}
+          comparedIds={comparedIds}
+          onSelect={selectMonitor}
+          onToggleCompare={toggleCompared}
+        />
+
+        <div className="map-column">
+          <div className="map-container">
+            <div id="leaflet-map" ref={mapElRef}></div>
+            <PlumeTuningPanel onChange={onPlumeTuned} />
+            {showStats && perfStats && <PerfOverlay stats={perfStats} />}
+            {forecastActive && forecastTime !== null && (
+              <div className="forecast-badge">Forecast · {formatForecastHour(forecastTime, forecast.issuedAt)}</div>
+            )}
+            {(visualizationType === "heatmap" || aqiColors) && (
+              <ConcentrationLegend
+                title={visualizationType === "heatmap"
+                  ? `Modelled ${POLLUTANTS[pollutant].label} · stability ${plumeStability}`
+                  : `${POLLUTANTS[pollutant].label} · AQI category`}
+                units={POLLUTANTS[pollutant].units}
+                entries={pollutantLegend(pollutant)}
+                cursorValue={cursorConcentration}
+              />
+            )}
+          </div>
+
+          {/* Timeline (only when monitors carry history; the forecast panel has its own hours) */}
+          {timeRange && !forecastActive && (
+            <TimelineBar range={timeRange} time={currentTime} onTimeChange={setCurrentTime} />
+          )}
+
+          {/* Side-by-side comparison (shift-click markers) */}
+          {comparedMonitors.length > 0 && (
+            <ComparisonPanel
+              monitors={comparedMonitors}
+              time={currentTime}
+              pollutant={pollutant}
+              onRemove={(id) => setComparedIds(prev => prev.filter(x => x !== String(id)))}
+              onClear={() => setComparedIds([])}
+            />
+          )}
         </div>
 
         {/* Sidebar */}
@@ -422,9 +1534,31 @@ const AQIPollutionTracker = () => {
           {selectedMonitor && (
             <>
               <div className="sidebar-header">
-                <h2>{selectedMonitor.name}</h2>
+                <div>
+                  <h2>{selectedMonitor.name}</h2>
+                  {selectedReading.time !== undefined && (
+                    <div className="sidebar-time">{formatTimelineTime(selectedReading.time)}</div>
+                  )}
+                  <div className="qa-badges">
+                    <span
+                      className={`qa-badge sensor-${sensorTypeOf(selectedMonitor)}`}
+                      title={SENSOR_TYPES[sensorTypeOf(selectedMonitor)].label}
+                    >
+                      {SENSOR_TYPES[sensorTypeOf(selectedMonitor)].short}
+                    </span>
+                    <span className={`qa-badge qa-${qaFlagOf(selectedReading)}`} title="Quality-assurance flag for this reading">
+                      QA: {QA_FLAGS[qaFlagOf(selectedReading)].label}
+                    </span>
+                    {selectedMonitor.correction != null && (
+                      <span className="qa-badge" title="Values shown are corrected">
+                        {describeCorrection(selectedMonitor.correction)}
+                      </span>
+                    )}
+                  </div>
+                </div>
                 <button
                   className="close-btn"
+                  aria-label="Close monitor details"
                   onClick={() => {
                     setSelectedMonitor(null);
                     setShowWindRose(false);
@@ -439,119 +1573,100 @@ const AQIPollutionTracker = () => {
                 <div
                   className="aqi-summary"
                   style={{
-                    backgroundColor: getAQIColor(selectedMonitor.aqi) + "20",
-                    color: getAQIColor(selectedMonitor.aqi)
+                    backgroundColor: getAQIColor(selectedAQI.aqi) + "20",
+                    color: getAQIColor(selectedAQI.aqi)
                   }}
                 >
                   <div
                     className="aqi-circle"
                     style={{
-                      backgroundColor: getAQIColor(selectedMonitor.aqi),
+                      backgroundColor: getAQIColor(selectedAQI.aqi),
                       color: "white"
                     }}
                   >
-                    <div className="aqi-label">{selectedMonitor.dominantPollutant}</div>
-                    <div>{selectedMonitor.aqi}</div>
+                    <div className="aqi-label">
+                      {selectedAQI.dominantPollutant && POLLUTANTS[selectedAQI.dominantPollutant].name}
+                    </div>
+                    <div>{selectedAQI.aqi === null ? "—" : selectedAQI.aqi}</div>
                   </div>
-                  <div style={{ fontWeight: 600 }}>{getAQILabel(selectedMonitor.aqi)}</div>
+                  <div style={{ fontWeight: 600 }}>{getAQILabel(selectedAQI.aqi)}</div>
                 </div>
+                {aqiIssues.length > 0 && (
+                  <div className="aqi-mismatch" title="Stored values from the data feed vs. the EPA calculation">
+                    ⚠ Feed disagrees: {aqiIssues.join("; ")}
+                  </div>
+                )}
 
-                {/* Pollutants grid */}
+                {/* Pollutants grid (click a card to plume that pollutant) */}
                 <div className="pollutants-grid">
-                  {[
-                    { k: "pm25", l: "PM₂․₅", u: "µg/m³" },
-                    { k: "pm10", l: "PM₁₀", u: "µg/m³" },
-                    { k: "o3",  l: "O₃",   u: "ppb"   },
-                    { k: "no2", l: "NO₂",  u: "ppb"   },
-                    { k: "so2", l: "SO₂",  u: "ppb"   },
-                    { k: "co",  l: "CO",   u: "ppb"   }
-                  ].map(({ k, l, u }) => (
-                    <div key={k} className="pollutant-card">
-                      <div className="pollutant-label">{l}</div>
-                      <div className="pollutant-value">{selectedMonitor[k]}</div>
-                      <div className="pollutant-unit">{u}</div>
-                    </div>
-                  ))}
+                  {POLLUTANT_KEYS.map(k => {
+                    const { aqi: subIndex, value, hours, complete } = selectedAQI.pollutants[k];
+                    return (
+                      <button
+                        key={k}
+                        className={`pollutant-card ${k === pollutant ? "active" : ""}`}
+                        onClick={() => setPollutant(k)}
+                        title={value === null
+                          ? `Show ${POLLUTANTS[k].name} plumes`
+                          : `${hours}-h mean ${formatReading(value)} ${POLLUTANTS[k].units}` +
+                            `${complete ? "" : " (incomplete)"} · click to show ${POLLUTANTS[k].name} plumes`}
+                      >
+                        <div className="pollutant-label">{POLLUTANTS[k].label}</div>
+                        <div className="pollutant-value">{formatReading(selectedReading[k])}</div>
+                        <div className="pollutant-unit">
+                          {readingUncertainty(selectedReading, k) !== null &&
+                            `±${formatReading(readingUncertainty(selectedReading, k))} `}
+                          {POLLUTANTS[k].units}
+                        </div>
+                        {subIndex !== null && (
+                          <div className="pollutant-aqi" style={{ color: aqiCategory(subIndex).color }}>
+                            AQI {subIndex}{complete ? "" : "*"}
+                          </div>
+                        )}
+                      </button>
+                    );
+                  })}
                 </div>
 
                 {/* Wind info */}
                 <div className="wind-info-box">
                   <div className="wind-info-label">Wind Speed</div>
-                  <div className="wind-info-value">{selectedMonitor.windSpeed} mph</div>
+                  <div className="wind-info-value">{formatReading(selectedReading.windSpeed)} mph</div>
                   <div className="wind-info-label">Direction</div>
                   <div className="wind-info-value">
-                    {getDirectionDesc(selectedMonitor.windDirection)} ({selectedMonitor.windDirection}°)
+                    {getDirectionDesc(selectedReading.windDirection)} ({Math.round(selectedReading.windDirection)}°)
                   </div>
                 </div>
 
-                {/* Wind Rose Toggle Panel */}
-                {showWindRose && (
-                  <div className="wind-rose-container">
-                    <div className="wind-rose-header">
-                      <div className="wind-rose-title">Wind Rose</div>
-                    </div>
-
-                    <div className="wind-rose-svg-container">
-                      <svg viewBox="-30 -30 60 60" style={{ width: "100%", height: "100%" }}>
-                        {/* rings */}
-                        <circle r="25" fill="rgba(0,0,0,0.05)" stroke="#ddd" strokeWidth="0.5" />
-                        <circle r="16" fill="none" stroke="#ddd" strokeWidth="0.5" />
-                        <circle r="8"  fill="none" stroke="#ddd" strokeWidth="0.5" />
-
-                        {/* cardinal labels */}
-                        {["N","E","S","W"].map((dir, i) => {
-                          const angle = i * 90 - 90;
-                          const rad = (angle * Math.PI) / 180;
-                          const x = Math.cos(rad) * 28;
-                          const y = Math.sin(rad) * 28;
-                          return (
-                            <text
-                              key={dir}
-                              x={x}
-                              y={y}
-                              textAnchor="middle"
-                              fontSize="3"
-                              fill="#666"
-                              fontWeight="bold"
-                            >
-                              {dir}
-                            </text>
-                          );
-                        })}
-
-                        {/* petals */}
-                        {getWindRoseData(selectedMonitor).map((d, idx) => {
-                          const angle = d.angle - 90;
-                          const length = (d.frequency / 25) * 22;
-                          const color = getAQIColor(d.avgAQI);
-                          const spread = 20;
-
-                          const x1 = Math.cos(((angle - spread) * Math.PI) / 180) * length;
-                          const y1 = Math.sin(((angle - spread) * Math.PI) / 180) * length;
-                          const x2 = Math.cos(((angle + spread) * Math.PI) / 180) * length;
-                          const y2 = Math.sin(((angle + spread) * Math.PI) / 180) * length;
-
-                          return (
-                            <path
-                              key={idx}
-                              d={`M 0 0 L ${x1} ${y1} L ${x2} ${y2} Z`}
-                              fill={color}
-                              opacity="0.85"
-                              stroke={color}
-                              strokeWidth="0.3"
-                            />
-                          );
-                        })}
-
-                        <circle r="1.5" fill="white" stroke="#999" strokeWidth="0.3" />
-                      </svg>
-                    </div>
-
-                    <div className="wind-rose-description">
-                      Petal size encodes frequency of winds from each direction; color shows typical AQI along those paths.
+                {/* Back trajectory results */}
+                {trajectory && (
+                  <div className="trajectory-box">
+                    <div className="trajectory-title">
+                      Back Trajectory · {trajectoryHours} h
                     </div>
+                    {candidateSources.length ? (
+                      <ul className="trajectory-list">
+                        {candidateSources.map(({ source, distanceKm, hoursBack }) => (
+                          <li key={source.id}>
+                            <span className="trajectory-source">{source.name}</span>
+                            <span className="trajectory-meta">
+                              {source.type} · {distanceKm.toFixed(1)} km off path · ~{hoursBack.toFixed(1)} h earlier
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    ) : (
+                      <div className="trajectory-empty">
+                        No known point sources within {trajectoryRadiusKm} km of the path.
+                      </div>
+                    )}
                   </div>
                 )}
+
+                {/* Wind Rose Toggle Panel */}
+                {showWindRose && (
+                  <WindRoseChart monitor={selectedMonitor} pollutant={pollutant} palette={palette} />
+                )}
               </div>
             </>
           )}
@@ -559,6 +1674,8 @@ const AQIPollutionTracker = () => {
       </div>
     </div>
   );
-};
+});
 
-ReactDOM.createRoot(document.getElementById("root")).render(<AQIPollutionTracker />);
\ No newline at end of file
+// standalone page; js/embed.js mounts the tracker into host pages instead
+const standaloneRoot = document.querySelector("#root[data-aqi-tracker]");
+if (standaloneRoot) ReactDOM.createRoot(standaloneRoot).render(<AQIPollutionTracker />);
\ No newline at end of file
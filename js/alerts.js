@@ -0,0 +1,159 @@
+/* =======================================================
+   ALERTS
+   User-defined exceedance rules ("PM2.5 > 35 µg/m³ for 2 h at
+   Dearborn", "AQI category ≥ Unhealthy anywhere"), checked
+   each time monitor data loads or refreshes. Rules are kept in
+   localStorage.
+   ======================================================= */
+const ALERT_RULES_KEY = "aqiTracker.alertRules";
+
+// newest entries kept in the alert log
+const ALERT_LOG_LIMIT = 100;
+
+// what a rule can watch: computed AQI, its category index, or a raw concentration
+const ALERT_METRICS = ["aqi", "category", ...POLLUTANT_KEYS];
+
+// the timestamp keeps ids apart across page loads, the counter within one millisecond
+let alertRuleCount = 0;
+
+/**
+ * rule: { id, monitorId (null = any monitor), metric, threshold, hours, enabled }
+ * For "category" the threshold is an index into AQI_CATEGORIES and the
+ * rule holds at or above it; otherwise it holds strictly above.
+ */
+function createAlertRule(fields) {
+  return {
+    id: `rule-${Date.now().toString(36)}-${(alertRuleCount++).toString(36)}`,
+    monitorId: null,
+    metric: "aqi",
+    threshold: 150,
+    hours: 0,
+    enabled: true,
+    ...fields
+  };
+}
+
+function loadAlertRules() {
+  try {
+    const rules = JSON.parse(localStorage.getItem(ALERT_RULES_KEY) || "[]");
+    return Array.isArray(rules)
+      ? rules.filter(r => r && r.id && ALERT_METRICS.includes(r.metric) && Number.isFinite(r.threshold))
+      : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Throws a readable error when storage is full or blocked (e.g. private mode). */
+function storeAlertRules(rules) {
+  try {
+    localStorage.setItem(ALERT_RULES_KEY, JSON.stringify(rules));
+  } catch (err) {
+    throw new Error(`Rules could not be saved in this browser and will be lost on reload (${err.message})`);
+  }
+  return rules;
+}
+
+/* ---------------------------------------
+   Describing rules and values
+   --------------------------------------- */
+function formatAlertValue(metric, value) {
+  if (metric === "category") return AQI_CATEGORIES[value].label;
+  if (metric === "aqi") return `AQI ${Math.round(value)}`;
+  return `${POLLUTANTS[metric].label} ${+value.toFixed(1)} ${POLLUTANTS[metric].units}`;
+}
+
+/** "PM₂․₅ > 35 µg/m³ for 2 h at Dearborn" */
+function describeAlertRule(rule, monitors) {
+  const what = rule.metric === "category"
+    ? `AQI category ≥ ${AQI_CATEGORIES[rule.threshold].label}`
+    : rule.metric === "aqi"
+      ? `AQI > ${rule.threshold}`
+      : `${POLLUTANTS[rule.metric].label} > ${rule.threshold} ${POLLUTANTS[rule.metric].units}`;
+  const span = rule.hours > 0 ? ` for ${rule.hours} h` : "";
+  if (rule.monitorId === null) return `${what}${span} anywhere`;
+  const monitor = monitors.find(m => String(m.id) === String(rule.monitorId));
+  return `${what}${span} at ${monitor ? monitor.name : `monitor ${rule.monitorId}`}`;
+}
+
+/* ---------------------------------------
+   Evaluation
+   --------------------------------------- */
+
+// the watched quantity in one record (a history hour, or the snapshot)
+function alertMetricValue(metric, monitor, record) {
+  if (metric === "aqi" || metric === "category") {
+    const computed = computeAQI(monitor, record.time ?? null).aqi;
+    const aqi = computed !== null ? computed : record.aqi;
+    if (isMissing(aqi)) return null;
+    return metric === "aqi" ? aqi : AQI_CATEGORIES.indexOf(aqiCategory(aqi));
+  }
+  return isMissing(record[metric]) ? null : record[metric];
+}
+
+const ruleHolds = (rule, value) =>
+  value !== null && (rule.metric === "category" ? value >= rule.threshold : value > rule.threshold);
+
+/**
+ * When `rule` started holding at `monitor`, or null if it doesn't hold in
+ * the latest data. With history, that's the earliest of the unbroken run
+ * of exceeding hours ending at the last one; a snapshot-only monitor is
+ * timed across refreshes in `tracking`.
+ */
+function exceedanceSpan(rule, monitor, tracking, now) {
+  const h = monitor.history;
+  if (h && h.length) {
+    const value = alertMetricValue(rule.metric, monitor, h[h.length - 1]);
+    if (!ruleHolds(rule, value)) return null;
+    let i = h.length - 1;
+    while (i > 0 && ruleHolds(rule, alertMetricValue(rule.metric, monitor, h[i - 1]))) i--;
+    // each hourly reading stands for the hour it starts
+    return { value, since: h[i].time, until: h[h.length - 1].time + HOUR_MS };
+  }
+
+  const key = `${rule.id}:${monitor.id}`;
+  const value = alertMetricValue(rule.metric, monitor, monitor);
+  if (!ruleHolds(rule, value)) {
+    tracking.delete(key);
+    return null;
+  }
+  if (!tracking.has(key)) tracking.set(key, now);
+  return { value, since: tracking.get(key), until: now };
+}
+
+/**
+ * Check every enabled rule against the latest data. Returns the active
+ * exceedances [{ key, ruleId, monitorId, monitorName, value, since, message }].
+ * `tracking` is a Map the caller keeps between checks.
+ */
+function evaluateAlertRules(rules, monitors, tracking, now = Date.now()) {
+  const active = [];
+  for (const rule of rules) {
+    if (!rule.enabled) continue;
+    const watched = rule.monitorId === null
+      ? monitors
+      : monitors.filter(m => String(m.id) === String(rule.monitorId));
+    for (const monitor of watched) {
+      const span = exceedanceSpan(rule, monitor, tracking, now);
+      if (!span || span.until - span.since < rule.hours * HOUR_MS) continue;
+      const hours = Math.floor((span.until - span.since) / HOUR_MS);
+      active.push({
+        key: `${rule.id}:${monitor.id}`,
+        ruleId: rule.id,
+        monitorId: monitor.id,
+        monitorName: monitor.name,
+        value: span.value,
+        since: span.since,
+        message: `${monitor.name}: ${formatAlertValue(rule.metric, span.value)}` +
+          (hours > 0 ? ` for ${hours} h` : "") + ` (${describeAlertRule(rule, monitors)})`
+      });
+    }
+  }
+  return active;
+}
+
+/** Browser notification for a new exceedance, if the user allowed them. */
+function notifyAlert(alert) {
+  if (typeof Notification === "undefined" || Notification.permission !== "granted") return;
+  new Notification("Air quality alert", { body: alert.message, tag: alert.key });
+}
@@ -0,0 +1,148 @@
+/* =======================================================
+   ALERTS PANEL
+   Builds and lists exceedance rules, switches browser
+   notifications on, and shows the log of triggered alerts.
+   ======================================================= */
+const AlertsPanel = ({ rules, storageError, monitors, active, log, notify, onRulesChange, onNotifyChange, onClearLog }) => {
+  const [monitorId, setMonitorId] = React.useState("");
+  const [metric, setMetric] = React.useState("pm25");
+  const [threshold, setThreshold] = React.useState(35);
+  const [category, setCategory] = React.useState(3);
+  const [hours, setHours] = React.useState(0);
+  const [permission, setPermission] = React.useState(
+    typeof Notification === "undefined" ? "unsupported" : Notification.permission
+  );
+  const [notifyError, setNotifyError] = React.useState(null);
+
+  const addRule = () => {
+    const rule = createAlertRule({
+      monitorId: monitorId === "" ? null : monitorId,
+      metric,
+      threshold: metric === "category" ? category : Number(threshold) || 0,
+      hours: Math.max(0, Number(hours) || 0)
+    });
+    onRulesChange([...rules, rule]);
+  };
+
+  const updateRule = (id, patch) => onRulesChange(rules.map(r => (r.id === id ? { ...r, ...patch } : r)));
+
+  const toggleNotify = async (on) => {
+    setNotifyError(null);
+    if (on && permission === "default") {
+      try {
+        const result = await Notification.requestPermission();
+        setPermission(result);
+        if (result !== "granted") return;
+      } catch (err) {
+        setNotifyError(`Could not turn on browser notifications: ${err.message}`);
+        return;
+      }
+    }
+    onNotifyChange(on);
+  };
+
+  const activeRuleIds = new Set(active.map(a => a.ruleId));
+
+  return (
+    <div className="alerts-panel">
+      <div className="data-source-row">
+        <select className="control-select" value={monitorId} onChange={(e) => setMonitorId(e.target.value)}>
+          <option value="">Any monitor</option>
+          {monitors.map(m => <option key={m.id} value={String(m.id)}>{m.name}</option>)}
+        </select>
+        <select className="control-select" value={metric} onChange={(e) => setMetric(e.target.value)}>
+          <option value="aqi">AQI</option>
+          <option value="category">AQI category</option>
+          {POLLUTANT_KEYS.map(k => <option key={k} value={k}>{POLLUTANTS[k].label}</option>)}
+        </select>
+        {metric === "category" ? (
+          <label className="control-field">
+            ≥
+            <select className="control-select" value={category} onChange={(e) => setCategory(Number(e.target.value))}>
+              {AQI_CATEGORIES.map((c, i) => i > 0 && <option key={c.label} value={i}>{c.label}</option>)}
+            </select>
+          </label>
+        ) : (
+          <label className="control-field">
+            &gt;
+            <input
+              type="number"
+              className="control-number"
+              min="0"
+              value={threshold}
+              onChange={(e) => setThreshold(e.target.value)}
+            />
+            {metric === "aqi" ? "" : POLLUTANTS[metric].units}
+          </label>
+        )}
+        <label className="control-field" title="Hours the condition must hold (0 = as soon as it's seen)">
+          for
+          <input
+            type="number"
+            className="control-number"
+            min="0"
+            step="1"
+            value={hours}
+            onChange={(e) => setHours(e.target.value)}
+          />
+          h
+        </label>
+        <button className="btn-control" onClick={addRule}>+ Add Rule</button>
+        <label className="timeline-loop" title={permission === "denied" ? "Notifications are blocked for this page" : ""}>
+          <input
+            type="checkbox"
+            checked={notify && permission === "granted"}
+            disabled={permission === "unsupported" || permission === "denied"}
+            onChange={(e) => toggleNotify(e.target.checked)}
+          />
+          Browser notifications
+        </label>
+      </div>
+      {storageError && <div className="data-source-status error">{storageError}</div>}
+      {notifyError && <div className="data-source-status error">{notifyError}</div>}
+
+      {rules.length === 0 ? (
+        <div className="alerts-empty">No rules yet. Rules are checked whenever monitor data loads or refreshes.</div>
+      ) : (
+        <ul className="alerts-rules">
+          {rules.map(r => (
+            <li key={r.id} className={activeRuleIds.has(r.id) ? "triggered" : ""}>
+              <input
+                type="checkbox"
+                checked={r.enabled}
+                onChange={(e) => updateRule(r.id, { enabled: e.target.checked })}
+                title="Enable rule"
+              />
+              <span className="alerts-rule-text">{describeAlertRule(r, monitors)}</span>
+              {activeRuleIds.has(r.id) && <span className="alerts-badge">active</span>}
+              <button
+                className="close-btn"
+                onClick={() => onRulesChange(rules.filter(x => x.id !== r.id))}
+                title="Delete rule"
+              >
+                ✕
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="alerts-log-header">
+        <span>Alert log</span>
+        {log.length > 0 && <button className="data-source-link" onClick={onClearLog}>Clear</button>}
+      </div>
+      {log.length === 0 ? (
+        <div className="alerts-empty">Nothing triggered yet.</div>
+      ) : (
+        <ul className="alerts-log">
+          {log.map(entry => (
+            <li key={`${entry.key}@${entry.at}`}>
+              <span className="alerts-log-time">{formatTimelineTime(entry.at)}</span>
+              {entry.message}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
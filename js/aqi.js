@@ -0,0 +1,245 @@
+/* =======================================================
+   AQI
+   EPA breakpoint tables, averaging periods and the overall
+   index, in the units the app stores: µg/m³ for particulates,
+   ppb for gases (the EPA's ppm tables for O₃ and CO are
+   scaled by 1000).
+   ======================================================= */
+const POLLUTANTS = {
+  pm25: { label: "PM₂․₅", name: "PM2.5", units: "µg/m³" },
+  pm10: { label: "PM₁₀",  name: "PM10",  units: "µg/m³" },
+  o3:   { label: "O₃",    name: "O3",    units: "ppb" },
+  no2:  { label: "NO₂",   name: "NO2",   units: "ppb" },
+  so2:  { label: "SO₂",   name: "SO2",   units: "ppb" },
+  co:   { label: "CO",    name: "CO",    units: "ppb" }
+};
+
+const AQI_CATEGORIES = [
+  { lo: 0,   hi: 50,  label: "Good",                           color: "#10b981" },
+  { lo: 51,  hi: 100, label: "Moderate",                       color: "#fbbf24" },
+  { lo: 101, hi: 150, label: "Unhealthy for Sensitive Groups", color: "#f97316" },
+  { lo: 151, hi: 200, label: "Unhealthy",                      color: "#ef4444" },
+  { lo: 201, hi: 300, label: "Very Unhealthy",                 color: "#a855f7" },
+  { lo: 301, hi: 500, label: "Hazardous",                      color: "#991b1b" }
+];
+
+// for monitors with no computable AQI (nothing reported, or every reading QA-excluded)
+const AQI_NO_DATA = { lo: null, hi: null, label: "No data", color: "#4b5563" };
+
+/**
+ * Category colour sets. "colorblind" swaps the green/red progression for
+ * Okabe–Ito hues (blue → yellow → orange → vermillion → purple → wine),
+ * which stay distinct with the common colour-vision deficiencies.
+ */
+const AQI_PALETTES = {
+  standard: { label: "Standard", colors: AQI_CATEGORIES.map(c => c.color) },
+  colorblind: { label: "Colour-blind safe", colors: ["#56b4e9", "#f0e442", "#e69f00", "#d55e00", "#cc79a7", "#882255"] }
+};
+
+/**
+ * Recolour AQI_CATEGORIES in place, so every scale, legend and plume
+ * follows. Returns the palette applied (unknown names fall back).
+ */
+function setAQIPalette(name) {
+  const applied = AQI_PALETTES[name] ? name : "standard";
+  AQI_CATEGORIES.forEach((c, i) => { c.color = AQI_PALETTES[applied].colors[i]; });
+  return applied;
+}
+
+/**
+ * Concentration breakpoints [lo, hi] per AQI category (same order as
+ * AQI_CATEGORIES), from the EPA's 2024 Technical Assistance Document.
+ * `hours` is the averaging period the table applies to and `decimals`
+ * the truncation the EPA applies before looking values up. A null row
+ * means the table doesn't cover that category.
+ */
+const AQI_BREAKPOINTS = {
+  pm25: { hours: 24, decimals: 1, table: [[0, 9.0], [9.1, 35.4], [35.5, 55.4], [55.5, 125.4], [125.5, 225.4], [225.5, 325.4]] },
+  pm10: { hours: 24, decimals: 0, table: [[0, 54], [55, 154], [155, 254], [255, 354], [355, 424], [425, 604]] },
+  o3:   { hours: 8,  decimals: 0, table: [[0, 54], [55, 70], [71, 85], [86, 105], [106, 200], null] },
+  no2:  { hours: 1,  decimals: 0, table: [[0, 53], [54, 100], [101, 360], [361, 649], [650, 1249], [1250, 2049]] },
+  so2:  { hours: 1,  decimals: 0, table: [[0, 35], [36, 75], [76, 185], [186, 304], null, null] },
+  co:   { hours: 8,  decimals: -2, table: [[0, 4400], [4500, 9400], [9500, 12400], [12500, 15400], [15500, 30400], [30500, 50400]] }
+};
+
+/**
+ * Second tables that take over at high concentrations, triggered by the
+ * short-period value reaching `from`:
+ *  - O₃: 1-hour values ≥ 125 ppb are indexed too and the larger index wins
+ *    (the 8-hour table stops at 200 ppb).
+ *  - SO₂: 1-hour values ≥ 305 ppb switch to the 24-hour average.
+ */
+const AQI_SUPPLEMENTARY = {
+  o3:  { hours: 1,  decimals: 0, from: 125, table: [null, null, [125, 164], [165, 204], [205, 404], [405, 604]] },
+  so2: { hours: 24, decimals: 0, from: 305, table: [null, null, null, null, [305, 604], [605, 1004]] }
+};
+
+// stored AQI this far from the computed one gets flagged
+const AQI_MISMATCH_TOLERANCE = 5;
+
+// truncate (not round) to `decimals` places; negative = tens, hundreds…
+const truncateTo = (v, decimals) => {
+  const f = Math.pow(10, decimals);
+  return Math.floor(v * f + 1e-9) / f;
+};
+
+const isMissing = (v) => v === null || v === undefined || !Number.isFinite(v);
+
+/**
+ * Linear interpolation within one breakpoint table. Values above a table
+ * that runs to "Hazardous" report the top of the scale (500); null when
+ * below it, or above a table that stops short (its supplementary table
+ * takes over there).
+ */
+function indexFromTable(bp, concentration) {
+  const c = truncateTo(Math.max(0, concentration), bp.decimals);
+  const rows = bp.table.map((row, i) => row && { row, category: AQI_CATEGORIES[i] }).filter(Boolean);
+  if (c < rows[0].row[0]) return null;
+  for (let k = 0; k < rows.length; k++) {
+    const [cLo, cHi] = rows[k].row;
+    // values in the gap between truncated breakpoints belong to the lower row
+    const nextLo = k + 1 < rows.length ? rows[k + 1].row[0] : cHi;
+    if (c <= cHi || c < nextLo) {
+      const { lo, hi } = rows[k].category;
+      return Math.round(((hi - lo) / (cHi - cLo)) * (Math.min(c, cHi) - cLo) + lo);
+    }
+  }
+  const top = AQI_CATEGORIES[AQI_CATEGORIES.length - 1];
+  return rows[rows.length - 1].category === top ? top.hi : null;
+}
+
+/**
+ * AQI sub-index for one concentration, treating it as already averaged
+ * over the pollutant's period. Returns null when the value is missing;
+ * concentrations beyond the scale report 500.
+ */
+function aqiSubIndex(pollutant, concentration) {
+  const bp = AQI_BREAKPOINTS[pollutant];
+  if (!bp || isMissing(concentration)) return null;
+  const primary = indexFromTable(bp, concentration);
+  const extra = AQI_SUPPLEMENTARY[pollutant];
+  if (!extra || concentration < extra.from) return primary;
+  return Math.max(primary ?? -1, indexFromTable(extra, concentration) ?? -1);
+}
+
+/* ---------------------------------------
+   Averaging periods
+   --------------------------------------- */
+
+/**
+ * Mean of a pollutant over the `hours` ending at t, from the monitor's
+ * history. Without history the snapshot value stands in. `complete` is
+ * false when fewer than 75% of the hours have data (the EPA's threshold).
+ */
+function trailingAverage(monitor, key, t, hours) {
+  if (!monitor.history || !monitor.history.length || t === null || t === undefined) {
+    return { value: isMissing(monitor[key]) ? null : monitor[key], complete: true };
+  }
+  const values = monitor.history
+    .filter(h => h.time <= t && h.time > t - hours * HOUR_MS && !isMissing(h[key]))
+    .map(h => h[key]);
+  if (!values.length) return { value: null, complete: false };
+  return {
+    value: values.reduce((a, b) => a + b, 0) / values.length,
+    complete: values.length >= Math.ceil(hours * 0.75)
+  };
+}
+
+/**
+ * EPA AQI for a monitor at time t, computed from raw concentrations.
+ * Returns { aqi, dominantPollutant, pollutants } where `pollutants` maps
+ * each key to { value, hours, aqi, complete } (value = the averaged
+ * concentration the index was taken from).
+ */
+function computeAQI(monitor, t) {
+  const pollutants = {};
+  for (const key of Object.keys(AQI_BREAKPOINTS)) {
+    const bp = AQI_BREAKPOINTS[key];
+    const avg = trailingAverage(monitor, key, t, bp.hours);
+    let entry = { ...avg, hours: bp.hours, aqi: avg.value === null ? null : indexFromTable(bp, avg.value) };
+
+    const extra = AQI_SUPPLEMENTARY[key];
+    const trigger = extra && trailingAverage(monitor, key, t, 1);
+    if (extra && trigger.value !== null && trigger.value >= extra.from) {
+      const alt = trailingAverage(monitor, key, t, extra.hours);
+      // SO₂ whose 24-hour mean is still below the table tops out "Unhealthy"
+      const altAqi = alt.value === null ? null
+        : alt.value < extra.from ? AQI_CATEGORIES[3].hi
+        : indexFromTable(extra, alt.value);
+      if (altAqi !== null && (entry.aqi === null || altAqi > entry.aqi)) {
+        entry = { ...alt, hours: extra.hours, aqi: altAqi };
+      }
+    }
+    pollutants[key] = entry;
+  }
+
+  let dominant = null;
+  for (const [key, p] of Object.entries(pollutants)) {
+    if (p.aqi !== null && (dominant === null || p.aqi > pollutants[dominant].aqi)) dominant = key;
+  }
+  return {
+    aqi: dominant === null ? null : pollutants[dominant].aqi,
+    dominantPollutant: dominant,
+    pollutants
+  };
+}
+
+/**
+ * Ways a monitor's stored aqi / dominantPollutant disagree with the
+ * computed values, as readable messages (empty when they agree or the
+ * feed didn't supply them).
+ */
+function aqiDiscrepancies(stored, computed) {
+  const issues = [];
+  if (!isMissing(stored.aqi) && computed.aqi !== null &&
+      Math.abs(stored.aqi - computed.aqi) > AQI_MISMATCH_TOLERANCE) {
+    issues.push(`reported AQI ${Math.round(stored.aqi)}, computed ${computed.aqi}`);
+  }
+  const storedKey = stored.dominantPollutant &&
+    PARAMETER_ALIASES[String(stored.dominantPollutant).toLowerCase()];
+  if (storedKey && computed.dominantPollutant && storedKey !== computed.dominantPollutant) {
+    issues.push(
+      `reported dominant ${stored.dominantPollutant}, computed ${POLLUTANTS[computed.dominantPollutant].name}`
+    );
+  }
+  return issues;
+}
+
+const aqiCategory = (aqi) =>
+  isMissing(aqi) ? AQI_NO_DATA
+    : AQI_CATEGORIES.find(c => aqi <= c.hi) || AQI_CATEGORIES[AQI_CATEGORIES.length - 1];
+
+// heatmap opacity at each category's upper breakpoint
+const RAMP_ALPHAS = [0.45, 0.6, 0.7, 0.75, 0.8, 0.85];
+
+const hexToRgbArray = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+
+// a pollutant's full concentration scale, supplementary rows filling the gaps
+const scaleRows = (pollutant) => {
+  const extra = AQI_SUPPLEMENTARY[pollutant];
+  return AQI_BREAKPOINTS[pollutant].table.map((row, i) => row || (extra && extra.table[i]));
+};
+
+/**
+ * Colour stops for a pollutant's concentration scale: one per AQI
+ * category at its upper breakpoint, fading in from a tenth of "Good".
+ */
+function pollutantRamp(pollutant) {
+  const rows = scaleRows(pollutant);
+  return [
+    { value: rows[0][1] * 0.1, color: hexToRgbArray(AQI_CATEGORIES[0].color), alpha: 0 },
+    ...rows.map(([, hi], i) => ({
+      value: hi,
+      color: hexToRgbArray(AQI_CATEGORIES[i].color),
+      alpha: RAMP_ALPHAS[i]
+    }))
+  ];
+}
+
+/** Legend rows: category label, colour and concentration range. */
+const pollutantLegend = (pollutant) =>
+  scaleRows(pollutant).map(([lo, hi], i) => ({
+    label: AQI_CATEGORIES[i].label,
+    color: AQI_CATEGORIES[i].color,
+    range: `${lo}–${hi}`
+  }));
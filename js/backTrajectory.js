@@ -0,0 +1,108 @@
+/* =======================================================
+   BACK TRAJECTORIES
+   Integrates the interpolated wind backward in time from a
+   monitor to show where the air arriving there came from,
+   and flags point sources the path passes close to.
+   ======================================================= */
+const BACK_TRAJECTORY = {
+  hours: 12,            // how far back to integrate
+  stepMinutes: 10,      // integration step
+  sourceRadiusKm: 2     // flag sources within this distance of the path
+};
+
+const TRAJECTORY_HOUR_OPTIONS = [3, 6, 12, 24, 48];
+
+// small-area metres <-> degrees around a latitude
+const metresToDegLat = (m) => m / M_PER_DEG_LAT;
+const metresToDegLon = (m, lat) => m / (M_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180));
+
+/**
+ * Trace backward from `start` ({ lat, lon }) beginning at time `t0`
+ * (epoch ms, or null for the snapshot). Wind at each step is the
+ * interpolated field of every monitor's reading at that step's time,
+ * so the path follows the timeline history where there is one.
+ *
+ * Returns { points: [{ lat, lon, time, hoursBack }], hourly: [...] }
+ * where `hourly` holds the points at each whole hour back.
+ */
+function computeBackTrajectory(monitors, start, t0, options = {}) {
+  const opts = { ...BACK_TRAJECTORY, ...options };
+  const stepS = opts.stepMinutes * 60;
+  const steps = Math.round((opts.hours * 60) / opts.stepMinutes);
+  const stepsPerHour = Math.round(60 / opts.stepMinutes);
+
+  let lat = start.lat;
+  let lon = start.lon;
+  const points = [{ lat, lon, time: t0, hoursBack: 0 }];
+
+  for (let k = 1; k <= steps; k++) {
+    const t = t0 === null || t0 === undefined ? null : t0 - k * stepS * 1000;
+    const readings = monitors.map(m => readingAt(m, t));
+    const w = interpolateWind(readings, lat, lon);
+    if (!w) break;
+
+    // wind speeds are mph; step against the wind
+    lat -= metresToDegLat(w.v * MPH_TO_MS * stepS);
+    lon -= metresToDegLon(w.u * MPH_TO_MS * stepS, lat);
+    points.push({ lat, lon, time: t, hoursBack: (k * opts.stepMinutes) / 60 });
+  }
+
+  return {
+    points,
+    hourly: points.filter((p, k) => k > 0 && k % stepsPerHour === 0)
+  };
+}
+
+// Distance (km) from p to segment a–b, on a local flat projection
+function distanceToSegmentKm(p, a, b) {
+  const kx = (M_PER_DEG_LAT * Math.cos((p.lat * Math.PI) / 180)) / 1000;
+  const ky = M_PER_DEG_LAT / 1000;
+  const ax = (a.lon - p.lon) * kx, ay = (a.lat - p.lat) * ky;
+  const bx = (b.lon - p.lon) * kx, by = (b.lat - p.lat) * ky;
+  const dx = bx - ax, dy = by - ay;
+  const len2 = dx * dx + dy * dy;
+  const f = len2 ? clamp(-(ax * dx + ay * dy) / len2, 0, 1) : 0;
+  return { km: Math.hypot(ax + dx * f, ay + dy * f), f };
+}
+
+/**
+ * Point sources within `radiusKm` of the path, nearest first, with the
+ * hours before arrival at which the air passed closest to them.
+ */
+function findCandidateSources(points, sources, radiusKm = BACK_TRAJECTORY.sourceRadiusKm) {
+  const candidates = [];
+  for (const source of sources) {
+    let best = null;
+    for (let k = 1; k < points.length; k++) {
+      const { km, f } = distanceToSegmentKm(source, points[k - 1], points[k]);
+      if (!best || km < best.distanceKm) {
+        const a = points[k - 1].hoursBack;
+        best = { distanceKm: km, hoursBack: a + (points[k].hoursBack - a) * f };
+      }
+    }
+    if (best && best.distanceKm <= radiusKm) candidates.push({ source, ...best });
+  }
+  return candidates.sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/** Leaflet layer for a trajectory: the path plus a labelled dot per hour. */
+function trajectoryLayer(trajectory) {
+  const group = L.layerGroup();
+  L.polyline(trajectory.points.map(p => [p.lat, p.lon]), {
+    color: "#38bdf8", weight: 3, opacity: 0.9, dashArray: "6 4"
+  }).addTo(group);
+
+  for (const p of trajectory.hourly) {
+    L.circleMarker([p.lat, p.lon], {
+      radius: 4, color: "#0ea5e9", weight: 1.5, fillColor: "#e0f2fe", fillOpacity: 1
+    })
+      .bindTooltip(
+        p.time !== null && p.time !== undefined
+          ? `−${p.hoursBack} h · ${formatTimelineTime(p.time)}`
+          : `−${p.hoursBack} h`,
+        { direction: "top", className: "trajectory-tooltip" }
+      )
+      .addTo(group);
+  }
+  return group;
+}
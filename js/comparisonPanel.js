@@ -0,0 +1,142 @@
+/* =======================================================
+   COMPARISON PANEL
+   Shift-clicked monitors side by side: AQI, pollutant grid,
+   wind, a small wind rose and trend sparklines. Sparklines
+   share one y-scale across columns so heights compare.
+   ======================================================= */
+const SPARK_W = 100;
+const SPARK_H = 24;
+
+// hourly series of the chosen pollutant and the computed AQI
+function comparisonSeries(monitor, pollutant) {
+  const records = roseRecords(monitor).filter(r => r.time !== undefined);
+  const pick = (key) => records.map(r => ({ t: r.time, v: isMissing(r[key]) ? null : r[key] }));
+  return { pollutant: pick(pollutant), aqi: pick("aqi") };
+}
+
+const seriesMax = (series) =>
+  Math.max(0, ...series.flatMap(s => s.filter(p => p.v !== null).map(p => p.v)));
+
+// line over `range` on a 0..max scale, broken at missing hours, with a playhead
+const Sparkline = ({ points, range, max, time, color, label }) => {
+  const x = (t) => (range.end > range.start ? ((t - range.start) / (range.end - range.start)) * SPARK_W : 0);
+  const y = (v) => SPARK_H - (max > 0 ? (v / max) * (SPARK_H - 2) : 0) - 1;
+  let d = "";
+  let pen = false;
+  for (const p of points) {
+    if (p.v === null) {
+      pen = false;
+      continue;
+    }
+    d += `${pen ? "L" : "M"} ${x(p.t).toFixed(2)} ${y(p.v).toFixed(2)} `;
+    pen = true;
+  }
+  const last = [...points].reverse().find(p => p.v !== null && p.t <= (time ?? Infinity));
+
+  return (
+    <div className="sparkline">
+      <div className="sparkline-label">
+        {label}
+        <span className="sparkline-value">{last ? formatReading(last.v) : "—"}</span>
+      </div>
+      <svg viewBox={`0 0 ${SPARK_W} ${SPARK_H}`} preserveAspectRatio="none">
+        {d && <path d={d} fill="none" stroke={color} strokeWidth="1.2" vectorEffect="non-scaling-stroke" />}
+        {time !== null && time !== undefined && (
+          <line x1={x(time)} x2={x(time)} y1="0" y2={SPARK_H} stroke="#f9fafb" strokeWidth="0.5"
+            vectorEffect="non-scaling-stroke" />
+        )}
+      </svg>
+    </div>
+  );
+};
+
+const ComparisonPanel = ({ monitors, time, pollutant, onRemove, onClear }) => {
+  const series = React.useMemo(
+    () => monitors.map(m => comparisonSeries(m, pollutant)),
+    [monitors, pollutant]
+  );
+  const range = getTimeRange(monitors);
+  const pollutantMax = seriesMax(series.map(s => s.pollutant));
+  const aqiMax = seriesMax(series.map(s => s.aqi));
+
+  return (
+    <div className="comparison-panel">
+      <div className="comparison-header">
+        <div className="comparison-title">
+          Comparing {monitors.length} monitor{monitors.length === 1 ? "" : "s"}
+          <span className="comparison-hint">Shift-click markers to add or remove</span>
+        </div>
+        <button className="btn-control" onClick={onClear}>Clear</button>
+      </div>
+
+      <div className="comparison-grid">
+        {monitors.map((m, i) => {
+          const reading = readingAt(m, time);
+          const result = computeAQI(m, time);
+          const color = getAQIColor(result.aqi);
+          return (
+            <div key={m.id} className="comparison-column">
+              <div className="comparison-name">
+                <span title={m.name}>{m.name}</span>
+                <button className="comparison-remove" onClick={() => onRemove(m.id)} title="Remove from comparison">
+                  ✕
+                </button>
+              </div>
+
+              <div className="comparison-aqi" style={{ backgroundColor: color + "20", color }}>
+                <span className="comparison-aqi-value" style={{ backgroundColor: color }}>
+                  {result.aqi === null ? "—" : result.aqi}
+                </span>
+                <span>
+                  {getAQILabel(result.aqi)}
+                  {result.dominantPollutant && (
+                    <span className="comparison-dominant"> · {POLLUTANTS[result.dominantPollutant].name}</span>
+                  )}
+                </span>
+              </div>
+
+              <div className="comparison-pollutants">
+                {POLLUTANT_KEYS.map(k => {
+                  const sub = result.pollutants[k].aqi;
+                  return (
+                    <div key={k} className={`comparison-pollutant ${k === pollutant ? "active" : ""}`}>
+                      <span className="pollutant-label">{POLLUTANTS[k].label}</span>
+                      <span>{formatReading(reading[k])}</span>
+                      <span className="pollutant-aqi" style={{ color: sub === null ? undefined : aqiCategory(sub).color }}>
+                        {sub === null ? "" : sub}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+
+              <div className="comparison-wind">
+                <MiniWindRose monitor={m} />
+                <div>
+                  <div className="wind-info-value">{formatReading(reading.windSpeed)} mph</div>
+                  <div className="wind-info-label">
+                    from {getDirectionDesc(reading.windDirection)} ({Math.round(reading.windDirection)}°)
+                  </div>
+                </div>
+              </div>
+
+              {range && (
+                <>
+                  <Sparkline
+                    points={series[i].pollutant}
+                    range={range}
+                    max={pollutantMax}
+                    time={time}
+                    color="#60a5fa"
+                    label={`${POLLUTANTS[pollutant].label} (${POLLUTANTS[pollutant].units})`}
+                  />
+                  <Sparkline points={series[i].aqi} range={range} max={aqiMax} time={time} color={color} label="AQI" />
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
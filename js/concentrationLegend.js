@@ -0,0 +1,25 @@
+/* =======================================================
+   CONCENTRATION LEGEND
+   AQI-category colour key for the selected pollutant's
+   concentration scale, plus an optional cursor readout.
+   ======================================================= */
+const ConcentrationLegend = ({ title, units, entries, cursorValue }) => (
+  <div className="map-legend">
+    <div className="map-legend-title">{title}</div>
+    <div className="map-legend-ramp">
+      {entries.map(({ label, color, range }) => (
+        <div key={label} className="map-legend-stop" title={label}>
+          <span className="map-legend-swatch" style={{ background: color }} />
+          <span>{range}</span>
+          <span className="map-legend-category">{label}</span>
+        </div>
+      ))}
+    </div>
+    <div className="map-legend-units">{units}</div>
+    {cursorValue !== null && (
+      <div className="map-legend-cursor">
+        Cursor: <strong>{formatReading(cursorValue)}</strong> {units}
+      </div>
+    )}
+  </div>
+);
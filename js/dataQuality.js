@@ -0,0 +1,177 @@
+/* =======================================================
+   DATA QUALITY
+   Sensor type, QA flag, correction and uncertainty for each
+   reading. Low-cost (PurpleAir-style) PM₂.₅ gets the EPA's
+   US-wide correction; pollutants in readings flagged
+   "missing" are blanked (null) so the AQI, plumes and
+   heatmap skip them, and "suspect" readings draw fainter.
+   ======================================================= */
+const DATA_QUALITY = {
+  defaultHumidity: 50,   // % RH for the EPA correction when a sensor doesn't report it
+  minOpacity: 0.35       // plume opacity floor for high-uncertainty sensors
+};
+
+/** Sensor classes with their typical relative uncertainty and default correction. */
+const SENSOR_TYPES = {
+  regulatory: { label: "Regulatory monitor", short: "FEM/FRM", uncertainty: 0.1, correction: null },
+  lowcost:    { label: "Low-cost sensor",    short: "Low-cost", uncertainty: 0.3, correction: "epa-pm25" }
+};
+
+// feed spellings -> SENSOR_TYPES keys (OpenAQ says "reference grade" / "low-cost sensor")
+const SENSOR_TYPE_ALIASES = {
+  "regulatory": "regulatory", "reference": "regulatory", "reference grade": "regulatory",
+  "fem": "regulatory", "frm": "regulatory",
+  "lowcost": "lowcost", "low-cost": "lowcost", "low-cost sensor": "lowcost", "purpleair": "lowcost"
+};
+
+/** QA flags; `opacity` scales the plume, 0 meaning the reading is excluded. */
+const QA_FLAGS = {
+  valid:   { label: "Valid",             opacity: 1 },
+  suspect: { label: "Suspect",           opacity: 0.45 },
+  missing: { label: "Missing / invalid", opacity: 0 }
+};
+
+const QA_FLAG_ALIASES = {
+  "valid": "valid", "ok": "valid",
+  "suspect": "suspect", "questionable": "suspect",
+  "missing": "missing", "invalid": "missing"
+};
+
+/* ---------------------------------------
+   Corrections
+   --------------------------------------- */
+
+/**
+ * EPA US-wide correction for PurpleAir PM₂.₅ (CF=1, µg/m³) with relative
+ * humidity: Barkjohn et al. (2021), extended in 2023 for smoke-level
+ * concentrations by blending into a quadratic fit above 210 µg/m³.
+ */
+function epaPM25Correction(pa, rh) {
+  let v;
+  if (pa < 30) {
+    v = 0.524 * pa - 0.0862 * rh + 5.75;
+  } else if (pa < 50) {
+    const f = pa / 20 - 3 / 2;
+    v = (0.786 * f + 0.524 * (1 - f)) * pa - 0.0862 * rh + 5.75;
+  } else if (pa < 210) {
+    v = 0.786 * pa - 0.0862 * rh + 5.75;
+  } else if (pa < 260) {
+    const f = pa / 50 - 21 / 5;
+    v = (0.69 * f + 0.786 * (1 - f)) * pa - 0.0862 * rh * (1 - f) +
+      2.966 * f + 5.75 * (1 - f) + 8.84e-4 * pa * pa * f;
+  } else {
+    v = 2.966 + 0.69 * pa + 8.84e-4 * pa * pa;
+  }
+  return Math.max(0, v);
+}
+
+/** Named corrections a record can ask for; `keys` are the pollutants they apply to. */
+const CORRECTIONS = {
+  "epa-pm25": { label: "EPA PM₂.₅ correction", keys: ["pm25"], apply: epaPM25Correction }
+};
+
+/** A concentration after `correction` (a factor, a CORRECTIONS key, or null). */
+function correctConcentration(key, value, correction, humidity) {
+  if (correction === null || correction === undefined || isMissing(value)) return value;
+  if (typeof correction === "number") return value * correction;
+  const c = CORRECTIONS[correction];
+  return c && c.keys.includes(key) ? c.apply(value, humidity ?? DATA_QUALITY.defaultHumidity) : value;
+}
+
+const describeCorrection = (correction) =>
+  typeof correction === "number" ? `×${correction} correction` : CORRECTIONS[correction].label;
+
+/* ---------------------------------------
+   Validation
+   --------------------------------------- */
+
+// blank -> fallback, unknown spelling -> null
+const normalizeSensorType = (v) =>
+  v === undefined || v === null || v === "" ? "regulatory" : SENSOR_TYPE_ALIASES[String(v).trim().toLowerCase()] || null;
+
+const normalizeQAFlag = (v, fallback = "valid") =>
+  v === undefined || v === null || v === "" ? fallback : QA_FLAG_ALIASES[String(v).trim().toLowerCase()] || null;
+
+/**
+ * Data-quality fields of one raw record, defaults filled in from the
+ * sensor type: { sensorType, qa, correction, uncertainty, humidity }.
+ * Problems are appended to `errors`.
+ */
+function validateDataQuality(raw, errors) {
+  const sensorType = normalizeSensorType(raw.sensorType);
+  if (sensorType === null) {
+    errors.push(`sensorType must be one of ${Object.keys(SENSOR_TYPES).join(", ")} (got ${JSON.stringify(raw.sensorType)})`);
+  }
+  const qa = normalizeQAFlag(raw.qa);
+  if (qa === null) {
+    errors.push(`qa must be one of ${Object.keys(QA_FLAGS).join(", ")} (got ${JSON.stringify(raw.qa)})`);
+  }
+  const defaults = SENSOR_TYPES[sensorType] || SENSOR_TYPES.regulatory;
+
+  let correction = defaults.correction;
+  if (raw.correction !== undefined && raw.correction !== "") {
+    const name = String(raw.correction).trim().toLowerCase();
+    const factor = toNumber(raw.correction);
+    if (name === "none") correction = null;
+    else if (CORRECTIONS[name]) correction = name;
+    else if (Number.isFinite(factor) && factor > 0) correction = factor;
+    else {
+      errors.push(`correction must be a positive factor, "none" or one of ${Object.keys(CORRECTIONS).join(", ")} ` +
+        `(got ${JSON.stringify(raw.correction)})`);
+    }
+  }
+
+  let uncertainty = toNumber(raw.uncertainty);
+  if (uncertainty === undefined) uncertainty = defaults.uncertainty;
+  else if (Number.isNaN(uncertainty) || uncertainty < 0 || uncertainty > 1) {
+    errors.push(`uncertainty must be a fraction 0–1, e.g. 0.3 for ±30% (got ${JSON.stringify(raw.uncertainty)})`);
+  }
+
+  const humidity = toNumber(raw.humidity);
+  if (humidity !== undefined && (Number.isNaN(humidity) || humidity < 0 || humidity > 100)) {
+    errors.push(`humidity must be 0–100 % (got ${JSON.stringify(raw.humidity)})`);
+  }
+
+  return { sensorType, qa, correction, uncertainty, humidity };
+}
+
+/**
+ * Correct a validated monitor's snapshot and history, blank the
+ * pollutants (and reported AQI) of readings flagged "missing", and
+ * give each history hour a QA flag (the monitor's unless the hour
+ * carries its own).
+ */
+function applyDataQuality(monitor) {
+  const fix = (reading, qa) => {
+    const out = { ...reading, qa };
+    for (const k of ["aqi", ...POLLUTANT_KEYS]) {
+      if (qa === "missing") {
+        // null, not absent, so readingAt() doesn't fall back to the snapshot
+        if (out[k] !== undefined || monitor[k] !== undefined) out[k] = null;
+      } else if (out[k] !== undefined && k !== "aqi") {
+        out[k] = correctConcentration(k, out[k], monitor.correction, out.humidity ?? monitor.humidity);
+      }
+    }
+    return out;
+  };
+  return {
+    ...fix(monitor, monitor.qa),
+    history: monitor.history.map(h => fix(h, h.qa || monitor.qa))
+  };
+}
+
+/* ---------------------------------------
+   Display
+   --------------------------------------- */
+
+// records kept offline by older versions carry no quality fields
+const sensorTypeOf = (monitor) => monitor.sensorType in SENSOR_TYPES ? monitor.sensorType : "regulatory";
+const qaFlagOf = (reading) => reading.qa in QA_FLAGS ? reading.qa : "valid";
+
+/** ± absolute uncertainty of a reading's value for `key`, or null. */
+const readingUncertainty = (reading, key) =>
+  isMissing(reading[key]) || reading.uncertainty === undefined ? null : Math.abs(reading[key]) * reading.uncertainty;
+
+/** Plume opacity for a reading: its QA flag, dimmed further by uncertainty. */
+const qualityOpacity = (reading) =>
+  QA_FLAGS[qaFlagOf(reading)].opacity * clamp(1 - (reading.uncertainty ?? 0), DATA_QUALITY.minOpacity, 1);
@@ -0,0 +1,369 @@
+/* =======================================================
+   MONITOR DATA SOURCES
+   Loads monitor records from a JSON/GeoJSON file, a CSV
+   upload or a REST endpoint (OpenAQ- or AirNow-shaped),
+   and validates them into the shape the map expects.
+   ======================================================= */
+const DATA_SOURCE_DEFAULTS = {
+  fileUrl: "data/monitors.json",
+  restUrl: "http://localhost:8787/v2/latest"
+};
+
+const POLLUTANT_KEYS = ["pm25", "pm10", "o3", "no2", "so2", "co"];
+
+// OpenAQ/AirNow parameter names -> our record keys
+const PARAMETER_ALIASES = {
+  "pm25": "pm25", "pm2.5": "pm25",
+  "pm10": "pm10",
+  "o3": "o3", "ozone": "o3",
+  "no2": "no2",
+  "so2": "so2",
+  "co": "co",
+  "wind_speed": "windSpeed", "ws": "windSpeed",
+  "wind_direction": "windDirection", "wd": "windDirection",
+  "relativehumidity": "humidity", "humidity": "humidity", "rh": "humidity", "rhum": "humidity"
+};
+
+/* ---------------------------------------
+   Validation
+   --------------------------------------- */
+const toNumber = (v) => {
+  if (v === null || v === undefined || v === "") return undefined;
+  const n = typeof v === "number" ? v : Number(String(v).trim());
+  return Number.isFinite(n) ? n : NaN;
+};
+
+// names and other feed/upload text end up in Leaflet tooltip and popup HTML
+const HTML_ESCAPES = { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;", "'": "&#39;" };
+const escapeHTML = (v) => String(v).replace(/[&<>"']/g, c => HTML_ESCAPES[c]);
+
+/**
+ * Validate one raw record. Returns { monitor } when usable,
+ * otherwise { errors } describing every problem with the row.
+ */
+function validateMonitorRecord(raw, index) {
+  const errors = [];
+  if (!raw || typeof raw !== "object") {
+    return { errors: ["record is not an object"] };
+  }
+
+  const lat = toNumber(raw.lat);
+  const lon = toNumber(raw.lon);
+  if (lat === undefined || Number.isNaN(lat) || lat < -90 || lat > 90) {
+    errors.push(`lat must be a number between -90 and 90 (got ${JSON.stringify(raw.lat)})`);
+  }
+  if (lon === undefined || Number.isNaN(lon) || lon < -180 || lon > 180) {
+    errors.push(`lon must be a number between -180 and 180 (got ${JSON.stringify(raw.lon)})`);
+  }
+
+  const windSpeed = toNumber(raw.windSpeed);
+  const windDirection = toNumber(raw.windDirection);
+  if (windSpeed === undefined || Number.isNaN(windSpeed) || windSpeed < 0) {
+    errors.push(`windSpeed must be a non-negative number (got ${JSON.stringify(raw.windSpeed)})`);
+  }
+  if (windDirection === undefined || Number.isNaN(windDirection) ||
+      windDirection < 0 || windDirection > 360) {
+    errors.push(`windDirection must be 0–360° (got ${JSON.stringify(raw.windDirection)})`);
+  }
+
+  const quality = validateDataQuality(raw, errors);
+
+  const pollutants = {};
+  let anyPollutant = false;
+  for (const k of POLLUTANT_KEYS) {
+    const v = toNumber(raw[k]);
+    if (v === undefined) continue;
+    anyPollutant = true;
+    if (Number.isNaN(v) || v < 0) {
+      errors.push(`${k} must be a non-negative number (got ${JSON.stringify(raw[k])})`);
+    } else {
+      pollutants[k] = v;
+    }
+  }
+  // a reading flagged missing may legitimately report nothing
+  if (!anyPollutant && quality.qa !== "missing") {
+    errors.push(`at least one pollutant (${POLLUTANT_KEYS.join(", ")}) is required`);
+  }
+
+  const aqi = toNumber(raw.aqi);
+  if (aqi !== undefined && (Number.isNaN(aqi) || aqi < 0)) {
+    errors.push(`aqi must be a non-negative number (got ${JSON.stringify(raw.aqi)})`);
+  }
+
+  const history = validateHistory(raw.history, errors);
+
+  if (errors.length) return { errors };
+
+  return {
+    monitor: applyDataQuality({
+      id: raw.id !== undefined && raw.id !== "" ? raw.id : index + 1,
+      name: raw.name ? String(raw.name) : `Monitor ${index + 1}`,
+      lat, lon,
+      aqi: aqi !== undefined ? aqi : null,
+      ...pollutants,
+      windSpeed,
+      windDirection: windDirection % 360,
+      dominantPollutant: raw.dominantPollutant ? String(raw.dominantPollutant) : null,
+      ...quality,
+      history
+    })
+  };
+}
+
+const HISTORY_KEYS = ["aqi", ...POLLUTANT_KEYS, "windSpeed", "windDirection", "humidity"];
+
+/**
+ * Validate optional hourly history. Entries need a parseable `time`;
+ * any readings they carry must be non-negative numbers, and a `qa`
+ * flag one of QA_FLAGS. Returns the entries sorted by time with `time`
+ * as epoch ms (empty when absent).
+ */
+function validateHistory(rawHistory, errors) {
+  if (rawHistory === undefined || rawHistory === null || rawHistory === "") return [];
+  if (!Array.isArray(rawHistory)) {
+    errors.push("history must be an array of { time, ... } readings");
+    return [];
+  }
+
+  const history = [];
+  rawHistory.forEach((e, i) => {
+    const time = e && Date.parse(e.time);
+    if (!Number.isFinite(time)) {
+      errors.push(`history[${i}].time is not a valid date (got ${JSON.stringify(e && e.time)})`);
+      return;
+    }
+    const entry = { time };
+    const qa = normalizeQAFlag(e.qa, null);
+    if (qa) entry.qa = qa;
+    else if (e.qa !== undefined && e.qa !== "") errors.push(`history[${i}].qa is not a QA flag (got ${JSON.stringify(e.qa)})`);
+    for (const k of HISTORY_KEYS) {
+      const v = toNumber(e[k]);
+      if (v === undefined) continue;
+      if (Number.isNaN(v) || v < 0 || (k === "windDirection" && v > 360)) {
+        errors.push(`history[${i}].${k} is out of range (got ${JSON.stringify(e[k])})`);
+      } else {
+        entry[k] = k === "windDirection" ? v % 360 : v;
+      }
+    }
+    history.push(entry);
+  });
+
+  return history.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Validate a list of raw records.
+ * @returns {{ monitors: object[], errors: { row: number, label: string, messages: string[] }[] }}
+ */
+function validateMonitorRecords(records) {
+  const monitors = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  records.forEach((raw, i) => {
+    const label = (raw && raw.name) || `row ${i + 1}`;
+    const { monitor, errors: rowErrors } = validateMonitorRecord(raw, i);
+    if (rowErrors) {
+      errors.push({ row: i + 1, label, messages: rowErrors });
+      return;
+    }
+    if (seenIds.has(String(monitor.id))) {
+      errors.push({ row: i + 1, label, messages: [`duplicate id ${monitor.id}`] });
+      return;
+    }
+    seenIds.add(String(monitor.id));
+    monitors.push(monitor);
+  });
+
+  return { monitors, errors };
+}
+
+/* ---------------------------------------
+   Parsers (text/JSON -> raw records)
+   --------------------------------------- */
+
+// Plain array, { monitors: [...] } wrapper, or a GeoJSON FeatureCollection of Points
+function recordsFromJSON(json) {
+  if (Array.isArray(json)) return json;
+  if (json && json.type === "FeatureCollection" && Array.isArray(json.features)) {
+    return json.features.map((f) => {
+      const coords = f && f.geometry && f.geometry.type === "Point"
+        ? f.geometry.coordinates : [];
+      return { ...(f && f.properties), lon: coords[0], lat: coords[1] };
+    });
+  }
+  if (json && Array.isArray(json.monitors)) return json.monitors;
+  if (json && Array.isArray(json.results)) return recordsFromOpenAQ(json);
+  throw new Error("Unrecognized JSON: expected an array, { monitors }, or a GeoJSON FeatureCollection");
+}
+
+// feed rows that aren't objects pass through as they are, so validation reports them by row
+const isRecordObject = (v) => !!v && typeof v === "object";
+
+// OpenAQ v2 /latest: { results: [{ location, coordinates, measurements: [{ parameter, value }] }] }
+function recordsFromOpenAQ(json) {
+  return json.results.map((loc, i) => {
+    if (!isRecordObject(loc)) return loc;
+    const rec = {
+      id: loc.locationId !== undefined ? loc.locationId : loc.location || i + 1,
+      name: loc.location,
+      lat: loc.coordinates && loc.coordinates.latitude,
+      lon: loc.coordinates && loc.coordinates.longitude,
+      sensorType: loc.sensorType
+    };
+    for (const m of loc.measurements || []) {
+      if (!isRecordObject(m)) continue;
+      const key = PARAMETER_ALIASES[String(m.parameter).toLowerCase()];
+      if (key) rec[key] = m.value;
+    }
+    return rec;
+  });
+}
+
+// AirNow observations: one row per site+parameter, grouped back into sites
+function recordsFromAirNow(rows) {
+  const bySite = new Map();
+  const records = [];
+  for (const o of rows) {
+    if (!isRecordObject(o)) {
+      records.push(o);
+      continue;
+    }
+    const siteKey = o.SiteName || `${o.Latitude},${o.Longitude}`;
+    if (!bySite.has(siteKey)) {
+      bySite.set(siteKey, {
+        id: o.AQSID || siteKey, name: o.SiteName,
+        lat: o.Latitude, lon: o.Longitude, aqi: null
+      });
+      records.push(bySite.get(siteKey));
+    }
+    const rec = bySite.get(siteKey);
+    const key = PARAMETER_ALIASES[String(o.Parameter || o.ParameterName).toLowerCase()];
+    if (key) rec[key] = o.Value !== undefined ? o.Value : o.RawConcentration;
+    if (Number.isFinite(o.AQI) && o.AQI >= 0 && (rec.aqi === null || o.AQI > rec.aqi)) {
+      rec.aqi = o.AQI;
+      rec.dominantPollutant = o.Parameter || o.ParameterName;
+    }
+  }
+  return records;
+}
+
+function recordsFromRest(json) {
+  const first = Array.isArray(json) ? json.find(isRecordObject) : null;
+  if (first && "Latitude" in first) return recordsFromAirNow(json);
+  if (json && Array.isArray(json.results)) return recordsFromOpenAQ(json);
+  return recordsFromJSON(json);
+}
+
+// Minimal RFC 4180-style CSV: header row, quoted fields, "" escapes
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field); field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(f => f.trim() !== "")) rows.push(row);
+      row = [];
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  if (row.some(f => f.trim() !== "")) rows.push(row);
+  return rows;
+}
+
+// Long-format rows (one per station per hour) -> one record per station,
+// using the latest row as the snapshot and every row as its history
+function groupTimeSeriesRows(rows) {
+  const byStation = new Map();
+  for (const row of rows) {
+    const key = row.id !== undefined && row.id !== "" ? row.id : row.name;
+    if (!byStation.has(key)) byStation.set(key, []);
+    byStation.get(key).push(row);
+  }
+  return [...byStation.values()].map((stationRows) => {
+    const sorted = [...stationRows].sort((a, b) => Date.parse(a.time) - Date.parse(b.time));
+    const { time, ...latest } = sorted[sorted.length - 1];
+    return { ...latest, history: sorted };
+  });
+}
+
+function recordsFromCSV(text) {
+  const [header, ...body] = parseCSV(text);
+  if (!header) throw new Error("CSV is empty");
+  // accept "latitude"/"longitude" and snake_case wind headers too
+  const cols = header.map((h) => {
+    const k = h.trim();
+    const lower = k.toLowerCase();
+    if (lower === "latitude") return "lat";
+    if (lower === "longitude" || lower === "lng") return "lon";
+    if (lower === "timestamp" || lower === "datetime") return "time";
+    return PARAMETER_ALIASES[lower] || k;
+  });
+  const rows = body.map((cells) => {
+    const rec = {};
+    cols.forEach((k, i) => { rec[k] = cells[i] !== undefined ? cells[i].trim() : ""; });
+    return rec;
+  });
+  return cols.includes("time") ? groupTimeSeriesRows(rows) : rows;
+}
+
+/* ---------------------------------------
+   Loaders
+   --------------------------------------- */
+async function fetchJSON(url) {
+  const res = await fetch(url, { headers: { Accept: "application/json" } });
+  if (!res.ok) throw new Error(`${url} responded ${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+const readFileText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+
+/**
+ * Load and validate monitors from a source descriptor:
+ *   { kind: "file", url }   local JSON/GeoJSON
+ *   { kind: "upload", file } CSV, JSON or GeoJSON File from an <input>
+ *   { kind: "rest", url }   OpenAQ/AirNow-shaped endpoint
+ * Resolves to { monitors, errors }; rejects only when nothing could be parsed.
+ */
+async function loadMonitors(source) {
+  let records;
+  switch (source.kind) {
+    case "file":
+      records = recordsFromJSON(await fetchJSON(source.url || DATA_SOURCE_DEFAULTS.fileUrl));
+      break;
+    case "upload": {
+      const text = await readFileText(source.file);
+      records = /\.csv$/i.test(source.file.name)
+        ? recordsFromCSV(text)
+        : recordsFromJSON(JSON.parse(text));
+      break;
+    }
+    case "rest":
+      records = recordsFromRest(await fetchJSON(source.url || DATA_SOURCE_DEFAULTS.restUrl));
+      break;
+    default:
+      throw new Error(`Unknown data source "${source.kind}"`);
+  }
+  return validateMonitorRecords(records);
+}
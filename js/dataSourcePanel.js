@@ -0,0 +1,110 @@
+/* =======================================================
+   DATA SOURCE PANEL
+   Picks where monitors come from, how often to reload it,
+   and lists rejected rows.
+   ======================================================= */
+/** Rejected rows as validate*Records() report them; also used by the sources and forecast panels. */
+const RowErrorList = ({ errors }) => (
+  <ul className="data-errors">
+    {errors.map((e) => (
+      <li key={e.row}>
+        <strong>Row {e.row} ({e.label}):</strong> {e.messages.join("; ")}
+      </li>
+    ))}
+  </ul>
+);
+
+// auto-refresh choices, in minutes (0 = off)
+const REFRESH_OPTIONS = [0, 1, 5, 15, 60];
+
+const DataSourcePanel = ({ status, onLoad, refreshMinutes, onRefreshChange }) => {
+  const [kind, setKind] = React.useState("file");
+  const [fileUrl, setFileUrl] = React.useState(DATA_SOURCE_DEFAULTS.fileUrl);
+  const [restUrl, setRestUrl] = React.useState(DATA_SOURCE_DEFAULTS.restUrl);
+  const [showErrors, setShowErrors] = React.useState(false);
+  const fileInputRef = React.useRef(null);
+
+  const submit = () => {
+    if (kind === "file") onLoad({ kind, url: fileUrl });
+    else if (kind === "rest") onLoad({ kind, url: restUrl });
+    else if (fileInputRef.current && fileInputRef.current.files[0]) {
+      onLoad({ kind: "upload", file: fileInputRef.current.files[0] });
+    }
+  };
+
+  const rowErrors = status.errors || [];
+
+  return (
+    <div className="data-source">
+      <div className="data-source-row">
+        <select
+          className="data-source-select"
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+        >
+          <option value="file">JSON / GeoJSON file</option>
+          <option value="upload">Upload CSV / JSON</option>
+          <option value="rest">REST endpoint</option>
+        </select>
+
+        {kind === "file" && (
+          <input
+            className="data-source-input"
+            value={fileUrl}
+            onChange={(e) => setFileUrl(e.target.value)}
+            placeholder="data/monitors.json"
+          />
+        )}
+        {kind === "rest" && (
+          <input
+            className="data-source-input"
+            value={restUrl}
+            onChange={(e) => setRestUrl(e.target.value)}
+            placeholder="http://localhost:8787/v2/latest"
+          />
+        )}
+        {kind === "upload" && (
+          <input
+            ref={fileInputRef}
+            className="data-source-input"
+            type="file"
+            accept=".csv,.json,.geojson"
+            onChange={submit}
+          />
+        )}
+
+        <button className="btn-control" onClick={submit} disabled={status.loading}>
+          {status.loading ? "Loading…" : "Load"}
+        </button>
+
+        <select
+          className="data-source-select"
+          value={refreshMinutes}
+          onChange={(e) => onRefreshChange(Number(e.target.value))}
+          title="Reload the data periodically; alert rules are checked on every load"
+        >
+          {REFRESH_OPTIONS.map(n => (
+            <option key={n} value={n}>{n ? `Refresh every ${n} min` : "No auto-refresh"}</option>
+          ))}
+        </select>
+
+        <span className={`data-source-status ${status.error ? "error" : ""}`}>
+          {status.error
+            ? status.error
+            : status.count !== undefined &&
+              `${status.count} monitor${status.count === 1 ? "" : "s"} loaded` +
+              (status.loadedAt ? ` at ${new Date(status.loadedAt).toLocaleTimeString()}` : "")}
+          {rowErrors.length > 0 && (
+            <button className="data-source-link" onClick={() => setShowErrors(v => !v)}>
+              {rowErrors.length} row{rowErrors.length === 1 ? "" : "s"} rejected
+            </button>
+          )}
+        </span>
+      </div>
+
+      {showErrors && rowErrors.length > 0 && (
+        <RowErrorList errors={rowErrors} />
+      )}
+    </div>
+  );
+};
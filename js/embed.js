@@ -0,0 +1,190 @@
+/* =======================================================
+   EMBED
+   Widget loader for host pages. Include this one file, from
+   wherever the tracker is served:
+
+     <script src="https://example.org/aqi/js/embed.js"></script>
+
+   and it pulls in the libraries, modules and styles from next
+   to itself. AQITracker.mount(element, options) resolves to a
+   widget the page can drive and listen to (see embed.html).
+   One tracker per page: PLUME and the AQI palette are globals.
+   ======================================================= */
+(() => {
+  const BASE = new URL("..", document.currentScript.src).href;
+
+  // the pinned copies in vendor/ (same as index.html); skipped when the host page already has them
+  const LIBRARIES = [
+    { global: "L", src: "vendor/leaflet-1.9.4/leaflet.js" },
+    { global: "React", src: "vendor/react-18.3.1/react.production.min.js" },
+    { global: "ReactDOM", src: "vendor/react-dom-18.3.1/react-dom.production.min.js" },
+    { global: "Babel", src: "vendor/babel-standalone-7.29.9/babel.min.js" }
+  ].map(lib => ({ ...lib, src: new URL(lib.src, BASE).href }));
+  const STYLESHEETS = ["vendor/leaflet-1.9.4/leaflet.css", "styles.css"]
+    .map(file => ({ href: new URL(file, BASE).href }));
+
+  // same order as index.html
+  const MODULES = [
+    "aqi", "dataSource", "dataQuality", "timeline", "windField", "gaussianPlume", "pointSources",
+    "backTrajectory", "plumeTuning", "viewState", "windRose", "alerts", "exposure",
+    "surface", "forecast", "particleSim", "particleEngine", "gifEncoder", "mapExport", "offlineStore"
+  ].map(name => `js/${name}.js`);
+  const COMPONENTS = [
+    "dataSourcePanel", "timelineBar", "concentrationLegend", "sourcesPanel", "savedViewsPicker",
+    "plumeTuningPanel", "windRoseChart", "comparisonPanel", "alertsPanel", "exposurePanel",
+    "surfacePanel", "forecastPanel", "monitorList", "perfOverlay", "exportControls"
+  ].map(name => `js/${name}.js`).concat("app.js");
+
+  const EVENTS = ["monitorSelected", "trackingToggled", "alertFired", "dataLoaded"];
+
+  const loadScript = (src) => new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = src;
+    script.async = false;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`Could not load ${src}`));
+    document.head.appendChild(script);
+  });
+
+  // JSX sources, compiled here the way index.html's text/babel tags are
+  async function runComponent(src) {
+    const res = await fetch(src);
+    if (!res.ok) throw new Error(`Could not load ${src} (HTTP ${res.status})`);
+    const script = document.createElement("script");
+    script.text = Babel.transform(await res.text(), { presets: ["react"], sourceFileName: src }).code;
+    document.head.appendChild(script);
+  }
+
+  let loading = null;
+
+  /** Load everything once; later calls share the same promise. */
+  function load() {
+    if (!loading) {
+      loading = (async () => {
+        for (const { href } of STYLESHEETS) {
+          document.head.appendChild(Object.assign(document.createElement("link"), { rel: "stylesheet", href }));
+        }
+        for (const lib of LIBRARIES) {
+          if (!window[lib.global]) await loadScript(lib.src);
+        }
+        for (const src of MODULES) await loadScript(new URL(src, BASE).href);
+        for (const src of COMPONENTS) await runComponent(new URL(src, BASE).href);
+
+        // the sample data sits next to the tracker, not the host page
+        for (const defaults of [DATA_SOURCE_DEFAULTS, POINT_SOURCE_DEFAULTS, EXPOSURE_DEFAULTS,
+          SURFACE_DEFAULTS, FORECAST_DEFAULTS]) {
+          defaults.fileUrl = new URL(defaults.fileUrl, BASE).href;
+        }
+      })();
+      loading.catch(() => { loading = null; });
+    }
+    return loading;
+  }
+
+  let mounted = false;
+
+  /**
+   * Mount the tracker into `target` (element or selector). Options:
+   *   monitors   raw records (array, { monitors } or GeoJSON) instead of the sample file
+   *   center     [lat, lon]; zoom
+   *   plume      tunable PLUME overrides, e.g. { spawnPerSec: 120 }; rejects
+   *              values outside the Plume Settings ranges
+   *   theme      "dark" (default) or "light"
+   *   on         { eventName: handler } registered before the first render
+   * Resolves to the widget: selectMonitor(id), setData(records), setTime(t),
+   * setTracking(on), getState(), setTheme(theme), on/off(event, fn), destroy().
+   * Events (also dispatched on the element as "aqitracker:<name>" CustomEvents):
+   *   monitorSelected { monitor }   trackingToggled { showAll }
+   *   alertFired { alert }          dataLoaded { count, errors, stale }
+   */
+  async function mount(target, options = {}) {
+    const el = typeof target === "string" ? document.querySelector(target) : target;
+    if (!el) throw new Error(`No element matches ${JSON.stringify(target)}`);
+    if (mounted) throw new Error("A tracker is already mounted on this page");
+    const handlers = Object.entries(options.on || {});
+    for (const [type, fn] of handlers) {
+      if (!EVENTS.includes(type)) throw new Error(`Unknown event "${type}" (expected ${EVENTS.join(", ")})`);
+      if (typeof fn !== "function") throw new Error(`Handler for "${type}" must be a function`);
+    }
+    mounted = true;
+    try {
+      await load();
+      // same checks as a settings import; a typo shouldn't quietly fall back to defaults
+      const { errors } = options.plume ? parsePlumeSettings(options.plume) : { errors: [] };
+      if (errors.length) throw new Error(`Invalid plume options: ${errors.join("; ")}`);
+    } catch (err) {
+      mounted = false;
+      throw err;
+    }
+
+    const listeners = new Map(EVENTS.map(name => [name, new Set()]));
+    const onEvent = (type, detail) => {
+      (listeners.get(type) || []).forEach(fn => fn(detail));
+      el.dispatchEvent(new CustomEvent(`aqitracker:${type}`, { detail }));
+    };
+
+    const root = ReactDOM.createRoot(el);
+    el.classList.add("aqi-tracker-embed");
+    let api = null;
+    let props = null;
+    let destroyed = false;
+    // the app's handle, or a clear error once the widget is gone
+    const live = () => {
+      if (destroyed) throw new Error("This tracker has been destroyed; mount a new one");
+      return api;
+    };
+
+    const widget = {
+      selectMonitor: (id) => live().selectMonitor(id),
+      setData: (records) => live().setData(records),
+      setTime: (t) => live().setTime(t),
+      setTracking: (on) => live().setTracking(on),
+      getState: () => live().getState(),
+      setTheme(theme) {
+        live();
+        props = { ...props, theme };
+        root.render(React.createElement(AQIPollutionTracker, props));
+      },
+      on(type, fn) {
+        live();
+        if (!listeners.has(type)) throw new Error(`Unknown event "${type}" (expected ${EVENTS.join(", ")})`);
+        listeners.get(type).add(fn);
+        return () => widget.off(type, fn);
+      },
+      off(type, fn) {
+        if (listeners.has(type)) listeners.get(type).delete(fn);
+      },
+      destroy() {
+        if (destroyed) return;
+        destroyed = true;
+        api = null;
+        root.unmount();
+        el.classList.remove("aqi-tracker-embed");
+        listeners.clear();
+        mounted = false;
+      }
+    };
+    handlers.forEach(([type, fn]) => widget.on(type, fn));
+
+    return new Promise((resolve) => {
+      props = {
+        // the handle object changes with the data; the widget always calls the latest
+        ref: (handle) => {
+          if (!handle) return;
+          api = handle;
+          resolve(widget);
+        },
+        embedded: true,
+        initialMonitors: options.monitors || null,
+        center: options.center || null,
+        zoom: options.zoom ?? null,
+        plume: options.plume || null,
+        theme: options.theme || "dark",
+        onEvent
+      };
+      root.render(React.createElement(AQIPollutionTracker, props));
+    });
+  }
+
+  window.AQITracker = { mount, load, events: EVENTS };
+})();
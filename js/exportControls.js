@@ -0,0 +1,99 @@
+/* =======================================================
+   EXPORT CONTROLS
+   PNG snapshot and WebM/GIF recording of the map, with the
+   caption supplied by the app burned in.
+   ======================================================= */
+const ExportControls = ({ getMap, getCaption }) => {
+  const [format, setFormat] = React.useState("webm");
+  const [seconds, setSeconds] = React.useState(5);
+  const [busy, setBusy] = React.useState(null);
+  const [progress, setProgress] = React.useState(0);
+  const [message, setMessage] = React.useState(null);
+  const abortRef = React.useRef(null);
+  // the caption changes during playback; recordings read the latest
+  const captionRef = React.useRef(getCaption);
+  captionRef.current = getCaption;
+
+  const report = (tiles, what) =>
+    setMessage(tiles ? null : `${what} saved without the base map (tile server blocked read-back)`);
+
+  const snapshot = async () => {
+    setBusy("png");
+    try {
+      const caption = captionRef.current();
+      const { blob, tiles } = await exportMapPNG(getMap(), caption);
+      downloadBlob(blob, exportFileName(caption.title, "png"));
+      report(tiles, "Snapshot");
+    } catch (err) {
+      setMessage(`Snapshot failed: ${err.message}`);
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const record = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setBusy("recording");
+    setProgress(0);
+    setMessage(null);
+    try {
+      const { blob, tiles } = await recordMapAnimation(getMap(), {
+        format,
+        seconds,
+        getCaption: () => captionRef.current(),
+        signal: controller.signal,
+        onProgress: (fraction, phase) => {
+          setProgress(fraction);
+          setBusy(phase);
+        }
+      });
+      downloadBlob(blob, exportFileName(captionRef.current().title, format));
+      report(tiles, "Recording");
+    } catch (err) {
+      setMessage(`Recording failed: ${err.message}`);
+    } finally {
+      abortRef.current = null;
+      setBusy(null);
+    }
+  };
+
+  return (
+    <div className="export-controls">
+      <button className="btn-control" onClick={snapshot} disabled={!!busy} title="Save the map view as PNG">
+        📷 PNG
+      </button>
+      <select
+        className="control-select"
+        value={format}
+        onChange={(e) => setFormat(e.target.value)}
+        disabled={!!busy}
+      >
+        <option value="webm">WebM video</option>
+        <option value="gif">Animated GIF</option>
+      </select>
+      <label className="control-field">
+        <input
+          type="number"
+          className="control-number"
+          min="1"
+          max={MAP_EXPORT.maxSeconds}
+          value={seconds}
+          disabled={!!busy}
+          onChange={(e) => setSeconds(clamp(Number(e.target.value) || 1, 1, MAP_EXPORT.maxSeconds))}
+        />
+        s
+      </label>
+      {busy === "recording" ? (
+        <button className="btn-control active" onClick={() => abortRef.current.abort()}>
+          ■ Stop ({Math.round(progress * seconds)}/{seconds}s)
+        </button>
+      ) : (
+        <button className="btn-control" onClick={record} disabled={!!busy}>
+          {busy === "encoding" ? "Encoding GIF…" : "⏺ Record"}
+        </button>
+      )}
+      {message && <span className="control-error">{message}</span>}
+    </div>
+  );
+};
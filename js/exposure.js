@@ -0,0 +1,252 @@
+/* =======================================================
+   NEIGHBOURHOOD EXPOSURE
+   Accumulates the particle plume footprint per neighbourhood
+   (or census tract) polygon from a GeoJSON file. Polygons are
+   rasterised once onto a lat/lon lookup grid so each frame's
+   particles can be binned without point-in-polygon tests.
+   ======================================================= */
+const EXPOSURE_DEFAULTS = {
+  fileUrl: "data/neighbourhoods.geojson",
+  cellDeg: 0.0025,        // lookup grid resolution (~250 m)
+  styleEveryMs: 1000      // choropleth restyle interval
+};
+
+// choropleth steps, as a share of the most exposed area
+const EXPOSURE_RAMP = [
+  { upTo: 0.2, color: "#fef3c7" },
+  { upTo: 0.4, color: "#fcd34d" },
+  { upTo: 0.6, color: "#f59e0b" },
+  { upTo: 0.8, color: "#ea580c" },
+  { upTo: 1, color: "#b91c1c" }
+];
+
+const exposureColor = (fraction) =>
+  (EXPOSURE_RAMP.find(s => fraction <= s.upTo) || EXPOSURE_RAMP[EXPOSURE_RAMP.length - 1]).color;
+
+/* ---------------------------------------
+   Loading
+   --------------------------------------- */
+
+// first property that looks like a name
+const AREA_NAME_KEYS = ["name", "NAME", "neighborhood", "neighbourhood", "NAMELSAD", "nhood_name", "GEOID"];
+
+/**
+ * Polygon features from a GeoJSON FeatureCollection as
+ * [{ id, name, polygons, feature }], `polygons` being MultiPolygon-style
+ * coordinates (outer ring first, then holes). Other geometries are skipped.
+ */
+function areasFromGeoJSON(json) {
+  if (!json || json.type !== "FeatureCollection" || !Array.isArray(json.features)) {
+    throw new Error("Expected a GeoJSON FeatureCollection of polygons");
+  }
+  const areas = [];
+  json.features.forEach((f, i) => {
+    const g = f && f.geometry;
+    if (!g) return;
+    const polygons = g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : null;
+    if (!polygons) return;
+    const props = f.properties || {};
+    const nameKey = AREA_NAME_KEYS.find(k => props[k] !== undefined && props[k] !== "");
+    areas.push({
+      id: areas.length,
+      name: nameKey ? String(props[nameKey]) : `Area ${i + 1}`,
+      polygons,
+      feature: f
+    });
+  });
+  if (!areas.length) throw new Error("No Polygon or MultiPolygon features found");
+  return areas;
+}
+
+/** { kind: "file", url } or { kind: "upload", file } -> areas */
+async function loadExposureAreas(source) {
+  const json = source.kind === "upload"
+    ? JSON.parse(await readFileText(source.file))
+    : await fetchJSON(source.url || EXPOSURE_DEFAULTS.fileUrl);
+  return areasFromGeoJSON(json);
+}
+
+/* ---------------------------------------
+   Lookup grid
+   --------------------------------------- */
+
+// even-odd rule over all rings, so holes fall out
+function pointInPolygon(lon, lat, rings) {
+  let inside = false;
+  for (const ring of rings) {
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const [xi, yi] = ring[i];
+      const [xj, yj] = ring[j];
+      if ((yi > lat) !== (yj > lat) && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Rasterise areas onto a grid of `cellDeg` cells: grid.cells holds
+ * area id + 1 per cell (0 = outside), grid.areaKm2 each area's size.
+ */
+function buildExposureGrid(areas, cellDeg = EXPOSURE_DEFAULTS.cellDeg) {
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  for (const a of areas) {
+    for (const poly of a.polygons) {
+      for (const [lon, lat] of poly[0]) {
+        south = Math.min(south, lat); north = Math.max(north, lat);
+        west = Math.min(west, lon); east = Math.max(east, lon);
+      }
+    }
+  }
+  const cols = Math.max(1, Math.ceil((east - west) / cellDeg));
+  const rows = Math.max(1, Math.ceil((north - south) / cellDeg));
+  const cells = new Uint16Array(cols * rows);
+  const areaKm2 = new Float64Array(areas.length);
+  const kmPerDegLat = M_PER_DEG_LAT / 1000;
+
+  for (const a of areas) {
+    for (const poly of a.polygons) {
+      // only scan the polygon's own bounding box
+      const lons = poly[0].map(p => p[0]);
+      const lats = poly[0].map(p => p[1]);
+      const c0 = Math.max(0, Math.floor((Math.min(...lons) - west) / cellDeg));
+      const c1 = Math.min(cols - 1, Math.floor((Math.max(...lons) - west) / cellDeg));
+      const r0 = Math.max(0, Math.floor((Math.min(...lats) - south) / cellDeg));
+      const r1 = Math.min(rows - 1, Math.floor((Math.max(...lats) - south) / cellDeg));
+      for (let r = r0; r <= r1; r++) {
+        const lat = south + (r + 0.5) * cellDeg;
+        const cellKm2 = cellDeg * kmPerDegLat * cellDeg * kmPerDegLat * Math.cos((lat * Math.PI) / 180);
+        for (let c = c0; c <= c1; c++) {
+          if (!pointInPolygon(west + (c + 0.5) * cellDeg, lat, poly)) continue;
+          cells[r * cols + c] = a.id + 1;
+          areaKm2[a.id] += cellKm2;
+        }
+      }
+    }
+  }
+  return { south, west, cellDeg, cols, rows, cells, areaKm2 };
+}
+
+/* ---------------------------------------
+   Accumulation
+   --------------------------------------- */
+
+/** Empty tally: per-area totals plus a per-emitter breakdown. */
+function createExposureTally(areas) {
+  return {
+    totals: new Float64Array(areas.length),
+    byEmitter: areas.map(() => new Map()),
+    seconds: 0
+  };
+}
+
+/**
+ * Add one simulation frame to `tally`. Particles come back in layer
+ * pixels, so they're unprojected with the frame's view; each counts
+ * its alpha (its density) times the frame's dt.
+ */
+function accumulateExposure(tally, grid, buffer, count, step) {
+  const { view, emitters, dt } = step;
+  if (!dt) return;
+  const scale = 256 * Math.pow(2, view.zoom);
+  for (let n = 0; n < count; n++) {
+    const o = n * PARTICLE_STRIDE;
+    const lon = ((buffer[o] + view.originX) / scale) * 360 - 180;
+    const lat = (Math.atan(Math.sinh(Math.PI * (1 - (2 * (buffer[o + 1] + view.originY)) / scale))) * 180) / Math.PI;
+    const c = Math.floor((lon - grid.west) / grid.cellDeg);
+    const r = Math.floor((lat - grid.south) / grid.cellDeg);
+    if (c < 0 || r < 0 || c >= grid.cols || r >= grid.rows) continue;
+    const cell = grid.cells[r * grid.cols + c];
+    if (!cell) continue;
+    const w = buffer[o + 3] * dt;
+    const id = emitters[buffer[o + 4]].id;
+    const breakdown = tally.byEmitter[cell - 1];
+    tally.totals[cell - 1] += w;
+    breakdown.set(id, (breakdown.get(id) || 0) + w);
+  }
+  tally.seconds += dt;
+}
+
+/** Exposure per km² (particle-seconds / km²) for each area. */
+const exposureScores = (tally, grid) =>
+  Array.from(tally.totals, (v, i) => (grid.areaKm2[i] > 0 ? v / grid.areaKm2[i] : 0));
+
+/**
+ * One row per area: { area, score, total, share: [{ id, value, fraction }] }
+ * with contributors largest first.
+ */
+function exposureRows(areas, tally, grid) {
+  const scores = exposureScores(tally, grid);
+  return areas.map((area, i) => {
+    const total = tally.totals[i];
+    const share = [...tally.byEmitter[i]]
+      .map(([id, value]) => ({ id, value, fraction: total > 0 ? value / total : 0 }))
+      .sort((a, b) => b.value - a.value);
+    return { area, score: scores[i], total, areaKm2: grid.areaKm2[i], share };
+  });
+}
+
+const csvField = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+
+/**
+ * CSV of the tally: one line per area and contributing emitter, plus an
+ * "all" line per area. `labelOf(emitterId)` names monitors and sources.
+ */
+function exposureCSV(areas, tally, grid, labelOf) {
+  const lines = [["area", "area_km2", "contributor", "particle_seconds", "score_per_km2", "share"].join(",")];
+  for (const row of exposureRows(areas, tally, grid)) {
+    const km2 = row.areaKm2.toFixed(3);
+    lines.push([csvField(row.area.name), km2, "all", row.total.toFixed(3), row.score.toFixed(3), "1"].join(","));
+    for (const s of row.share) {
+      lines.push([
+        csvField(row.area.name), km2, csvField(labelOf(s.id)), s.value.toFixed(3),
+        row.areaKm2 > 0 ? (s.value / row.areaKm2).toFixed(3) : "0", s.fraction.toFixed(4)
+      ].join(","));
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+/* ---------------------------------------
+   Choropleth
+   --------------------------------------- */
+
+// own pane under the overlay pane, so plumes draw on top of the shading
+const EXPOSURE_PANE = "exposurePane";
+const EXPOSURE_PANE_Z = 350;
+
+/** One path per area; `onClick(areaId, latlng)` fires when an area is clicked. */
+function exposureLayer(areas, onClick) {
+  return L.geoJSON(
+    {
+      type: "FeatureCollection",
+      features: areas.map(a => ({ ...a.feature, properties: { ...a.feature.properties, areaId: a.id } }))
+    },
+    {
+      pane: EXPOSURE_PANE,
+      style: () => ({ color: "#6b7280", weight: 1, fillColor: EXPOSURE_RAMP[0].color, fillOpacity: 0.04 }),
+      onEachFeature: (f, layer) => layer.on("click", (e) => onClick(f.properties.areaId, e.latlng))
+    }
+  );
+}
+
+/** Shade each area by its score relative to the most exposed one. */
+function styleExposureLayer(layer, scores) {
+  const max = Math.max(0, ...scores);
+  layer.eachLayer((l) => {
+    const score = scores[l.feature.properties.areaId];
+    l.setStyle(max > 0 && score > 0
+      ? { fillColor: exposureColor(score / max), fillOpacity: 0.45 }
+      : { fillColor: EXPOSURE_RAMP[0].color, fillOpacity: 0.04 });
+  });
+}
+
+/** Popup body: the area's score and its contributors. */
+function exposurePopupHTML(row, seconds, labelOf) {
+  const head =
+    `<strong>${escapeHTML(row.area.name)}</strong><br/>` +
+    `${row.score.toFixed(1)} particle-s/km² over ${(seconds / 60).toFixed(1)} min`;
+  if (!row.share.length) return `${head}<br/>No plume has reached this area yet`;
+  return head + "<br/>" + row.share
+    .map(s => `• ${escapeHTML(labelOf(s.id))}: ${(s.fraction * 100).toFixed(0)}%`)
+    .join("<br/>");
+}
@@ -0,0 +1,70 @@
+/* =======================================================
+   EXPOSURE PANEL
+   Loads neighbourhood polygons, starts/stops and resets the
+   footprint tally, lists the most exposed areas and exports
+   the tally as CSV.
+   ======================================================= */
+const ExposurePanel = ({ status, rows, seconds, running, onLoad, onToggleRunning, onReset, onExport }) => {
+  const ranked = rows.filter(r => r.total > 0).sort((a, b) => b.score - a.score).slice(0, 5);
+
+  return (
+    <div className="sources-panel exposure-panel">
+      <div className="data-source-row">
+        <button
+          className="btn-control"
+          onClick={() => onLoad({ kind: "file", url: EXPOSURE_DEFAULTS.fileUrl })}
+          disabled={status.loading}
+          title={EXPOSURE_DEFAULTS.fileUrl}
+        >
+          {status.loading ? "Loading…" : "Load Neighbourhoods"}
+        </button>
+        <label className="btn-control file-button" title="Load area polygons (GeoJSON)">
+          Load File…
+          <input
+            type="file"
+            accept=".json,.geojson"
+            onChange={(e) => e.target.files[0] && onLoad({ kind: "upload", file: e.target.files[0] })}
+          />
+        </label>
+        {rows.length > 0 && (
+          <>
+            <label className="timeline-loop" title="Add the particle footprint to the tally while plumes animate">
+              <input type="checkbox" checked={running} onChange={onToggleRunning} />
+              Accumulate
+            </label>
+            <button className="btn-control" onClick={onReset}>Reset</button>
+            <button className="btn-control" onClick={onExport} disabled={!seconds}>Export CSV</button>
+          </>
+        )}
+        <span className={`data-source-status ${status.error ? "error" : ""}`}>
+          {status.error
+            ? status.error
+            : rows.length > 0 && `${rows.length} areas · ${(seconds / 60).toFixed(1)} min accumulated`}
+        </span>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="exposure-summary">
+          <div className="exposure-ramp" title="Share of the most exposed area">
+            {EXPOSURE_RAMP.map(s => <span key={s.color} style={{ background: s.color }} />)}
+            <span className="exposure-ramp-label">low → high</span>
+          </div>
+          {ranked.length === 0 ? (
+            <div className="alerts-empty">
+              No plume has reached an area yet. Animate some monitors (particle mode) to build up the footprint.
+            </div>
+          ) : (
+            <ol className="exposure-ranking">
+              {ranked.map(r => (
+                <li key={r.area.id}>
+                  <span>{r.area.name}</span>
+                  <span className="exposure-score">{r.score.toFixed(1)} particle-s/km²</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
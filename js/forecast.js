@@ -0,0 +1,159 @@
+/* =======================================================
+   PLUME FORECAST
+   Hourly forecast wind and pollutant values per monitor for
+   the next 24–48 h, from a JSON file or a forecast endpoint.
+   A forecast monitor carries its forecast as `history`, so
+   readingAt() and both plume renderers work on it unchanged.
+   Monitors whose forecast crosses an AQI threshold are flagged,
+   with the upwind monitors' Gaussian plumes splitting the blame.
+   ======================================================= */
+const FORECAST_DEFAULTS = {
+  fileUrl: "data/forecast.json",
+  restUrl: "http://localhost:8787/forecast?hours=48",
+  maxHours: 48,
+  threshold: 101,              // AQI: "Unhealthy for Sensitive Groups" and worse
+  minContributorShare: 0.01    // smaller upwind contributions aren't listed
+};
+
+// an `hour` offset becomes an absolute time, so validateHistory() can parse it
+const withForecastTime = (entry, issuedAt) =>
+  entry && entry.time === undefined && entry.hour !== undefined && Number.isFinite(Number(entry.hour))
+    ? { ...entry, time: new Date(issuedAt + Number(entry.hour) * HOUR_MS).toISOString() }
+    : entry;
+
+/**
+ * Parse { issued?, monitors: [{ id, hourly: [{ time | hour, ...readings }] }] }
+ * (or the bare array). Hours give an absolute `time` or an `hour` offset
+ * from `issued`, which defaults to the start of the current hour so a static
+ * sample file always looks ahead. Hours beyond maxHours are dropped.
+ * Returns { issuedAt, series: Map(monitor id -> entries), errors } with row
+ * errors shaped like validateMonitorRecords()'s.
+ */
+function forecastFromJSON(json, now = Date.now()) {
+  const records = Array.isArray(json) ? json : json && Array.isArray(json.monitors) ? json.monitors : null;
+  if (!records) throw new Error("Unrecognized forecast: expected { monitors: [{ id, hourly: [...] }] }");
+  const issuedAt = json.issued ? Date.parse(json.issued) : Math.floor(now / HOUR_MS) * HOUR_MS;
+  if (!Number.isFinite(issuedAt)) throw new Error(`issued is not a valid date (got ${JSON.stringify(json.issued)})`);
+  const until = issuedAt + FORECAST_DEFAULTS.maxHours * HOUR_MS;
+
+  const series = new Map();
+  const errors = [];
+  records.forEach((raw, i) => {
+    const label = (raw && (raw.name || raw.id)) || `row ${i + 1}`;
+    const messages = [];
+    const id = raw && raw.id !== undefined && raw.id !== "" ? String(raw.id) : null;
+    if (id === null) messages.push("id is required to match a monitor");
+    else if (series.has(id)) messages.push(`duplicate id ${id}`);
+    const rows = raw && (raw.hourly || raw.forecast);
+    const hourly = validateHistory(Array.isArray(rows) ? rows.map(e => withForecastTime(e, issuedAt)) : rows, messages)
+      .filter(e => e.time >= issuedAt && e.time < until);
+    if (!messages.length && !hourly.length) messages.push(`no forecast hours in the next ${FORECAST_DEFAULTS.maxHours} h`);
+    if (messages.length) {
+      errors.push({ row: i + 1, label, messages: messages.map(m => m.replace(/^history/, "hourly")) });
+      return;
+    }
+    series.set(id, hourly);
+  });
+  if (!series.size) throw new Error("No usable forecast rows");
+  return { issuedAt, series, errors };
+}
+
+/**
+ * Load a forecast from a source descriptor:
+ *   { kind: "file", url }    local JSON
+ *   { kind: "upload", file } JSON File from an <input>
+ *   { kind: "rest", url }    forecast endpoint (see stub/aq-stub-server.js)
+ */
+async function loadForecast(source) {
+  switch (source.kind) {
+    case "file":
+      return forecastFromJSON(await fetchJSON(source.url || FORECAST_DEFAULTS.fileUrl));
+    case "upload":
+      return forecastFromJSON(JSON.parse(await readFileText(source.file)));
+    case "rest":
+      return forecastFromJSON(await fetchJSON(source.url || FORECAST_DEFAULTS.restUrl));
+    default:
+      throw new Error(`Unknown forecast source "${source.kind}"`);
+  }
+}
+
+/**
+ * The monitors that have a forecast, with it standing in for their
+ * history (snapshot values fill readings a forecast hour leaves out).
+ */
+const forecastMonitors = (monitors, forecast) => monitors
+  .filter(m => forecast.series.has(String(m.id)))
+  .map(m => ({ ...m, history: forecast.series.get(String(m.id)) }));
+
+/** Hourly times (epoch ms) spanning the forecast monitors. */
+function forecastHours(fmonitors) {
+  const range = getTimeRange(fmonitors);
+  if (!range) return [];
+  const hours = [];
+  for (let t = range.start; t <= range.end; t += HOUR_MS) hours.push(t);
+  return hours;
+}
+
+/* ---------------------------------------
+   Downwind estimate
+   --------------------------------------- */
+
+/**
+ * `pollutant` at each forecast monitor at time t. A monitor's forecast
+ * already includes what arrives from upwind, so the AQI comes from it
+ * alone, averaged over the forecast hours like computeAQI() does (24 h
+ * for PM, 8 h for O₃ and CO). The other monitors' plumes (Gaussian model,
+ * calibrated on their forecasts) only split that value into shares.
+ * Returns [{ monitor, value, hours, complete, aqi, contributors: [{ monitor,
+ * value, share }] }], contributors largest first; `value` is the averaged
+ * concentration and shares never add up to more than 1.
+ */
+function forecastReceptorsAt(fmonitors, pollutant, t, options = {}) {
+  const readings = fmonitors.map(m => readingAt(m, t));
+  const sources = readings.map(r => plumeSourceFromReading(r, r[pollutant], options));
+  return fmonitors.map((monitor, i) => {
+    const { value, hours, complete, aqi } = computeAQI(monitor, t).pollutants[pollutant];
+    const contributors = [];
+    sources.forEach((s, j) => {
+      if (!s || j === i) return;
+      const arriving = concentrationAt([s], monitor.lat, monitor.lon, options);
+      if (arriving > 0) contributors.push({ monitor: fmonitors[j], value: arriving });
+    });
+    // this hour's forecast is what the plumes are a share of
+    const own = Number.isFinite(readings[i][pollutant]) ? readings[i][pollutant] : 0;
+    const total = Math.max(own, contributors.reduce((sum, c) => sum + c.value, 0));
+    contributors.forEach(c => { c.share = c.value / total; });
+    return { monitor, value, hours, complete, aqi, contributors: contributors.sort((a, b) => b.value - a.value) };
+  });
+}
+
+/**
+ * Monitors whose forecast AQI reaches `threshold` in any of `hours`, worst
+ * first: [{ monitor, firstTime, peakTime, peakAqi, hours, upwind }] where
+ * `upwind` lists the monitors contributing most at the peak, with their share.
+ */
+function forecastExceedances(fmonitors, pollutant, hours, threshold = FORECAST_DEFAULTS.threshold, options = {}) {
+  const byId = new Map();
+  for (const t of hours) {
+    for (const r of forecastReceptorsAt(fmonitors, pollutant, t, options)) {
+      if (r.aqi === null || r.aqi < threshold) continue;
+      let e = byId.get(r.monitor.id);
+      if (!e) {
+        e = { monitor: r.monitor, firstTime: t, peakTime: t, peakAqi: -1, hours: 0, upwind: [] };
+        byId.set(r.monitor.id, e);
+      }
+      e.hours++;
+      if (r.aqi <= e.peakAqi) continue;
+      e.peakAqi = r.aqi;
+      e.peakTime = t;
+      e.upwind = r.contributors
+        .filter(c => c.share >= FORECAST_DEFAULTS.minContributorShare)
+        .map(c => ({ monitor: c.monitor, share: c.share }));
+    }
+  }
+  return [...byId.values()].sort((a, b) => b.peakAqi - a.peakAqi);
+}
+
+/** "+6 h · Jan 14, 02:00 PM" for a forecast hour. */
+const formatForecastHour = (t, issuedAt) =>
+  `+${Math.round((t - issuedAt) / HOUR_MS)} h · ${formatTimelineTime(t)}`;
@@ -0,0 +1,146 @@
+/* =======================================================
+   FORECAST PANEL
+   Loads a forecast, picks the forecast hour the plumes show
+   and lists monitors likely to cross an AQI threshold as the
+   forecast plumes move downwind.
+   ======================================================= */
+const ForecastPanel = ({
+  status, forecast, hours, time, onTimeChange, onLoad,
+  pollutant, threshold, onThresholdChange, exceedances
+}) => {
+  const [kind, setKind] = React.useState("file");
+  const [fileUrl, setFileUrl] = React.useState(FORECAST_DEFAULTS.fileUrl);
+  const [restUrl, setRestUrl] = React.useState(FORECAST_DEFAULTS.restUrl);
+  const [showErrors, setShowErrors] = React.useState(false);
+
+  const index = Math.max(0, hours.indexOf(time));
+  const rowErrors = (forecast && forecast.errors) || [];
+
+  return (
+    <div className="sources-panel forecast-panel">
+      <div className="data-source-row">
+        <select className="data-source-select" value={kind} onChange={(e) => setKind(e.target.value)}>
+          <option value="file">Forecast file</option>
+          <option value="upload">Upload JSON</option>
+          <option value="rest">Forecast endpoint</option>
+        </select>
+        {kind === "file" && (
+          <input className="data-source-input" value={fileUrl} onChange={(e) => setFileUrl(e.target.value)} />
+        )}
+        {kind === "rest" && (
+          <input className="data-source-input" value={restUrl} onChange={(e) => setRestUrl(e.target.value)} />
+        )}
+        {kind === "upload" ? (
+          <label className="btn-control file-button">
+            Choose File…
+            <input
+              type="file"
+              accept=".json"
+              onChange={(e) => e.target.files[0] && onLoad({ kind: "upload", file: e.target.files[0] })}
+            />
+          </label>
+        ) : (
+          <button
+            className="btn-control"
+            onClick={() => onLoad({ kind, url: kind === "file" ? fileUrl : restUrl })}
+            disabled={status.loading}
+          >
+            {status.loading ? "Loading…" : "Load"}
+          </button>
+        )}
+        <span className={`data-source-status ${status.error ? "error" : ""}`}>
+          {status.error
+            ? status.error
+            : forecast && `${forecast.series.size} monitor forecast${forecast.series.size === 1 ? "" : "s"}, ` +
+              `issued ${formatTimelineTime(forecast.issuedAt)}`}
+          {rowErrors.length > 0 && (
+            <button className="data-source-link" onClick={() => setShowErrors(v => !v)}>
+              {rowErrors.length} row{rowErrors.length === 1 ? "" : "s"} rejected
+            </button>
+          )}
+        </span>
+      </div>
+
+      {showErrors && rowErrors.length > 0 && (
+        <RowErrorList errors={rowErrors} />
+      )}
+
+      {forecast && hours.length > 0 && (
+        <>
+          <div className="data-source-row forecast-hour">
+            <button
+              className="btn-control"
+              onClick={() => onTimeChange(hours[Math.max(0, index - 1)])}
+              disabled={index === 0}
+              aria-label="Previous forecast hour"
+            >
+              ◀
+            </button>
+            <input
+              type="range"
+              className="timeline-slider forecast-slider"
+              min={0}
+              max={hours.length - 1}
+              value={index}
+              onChange={(e) => onTimeChange(hours[Number(e.target.value)])}
+              aria-label="Forecast hour"
+              aria-valuetext={formatForecastHour(hours[index], forecast.issuedAt)}
+            />
+            <button
+              className="btn-control"
+              onClick={() => onTimeChange(hours[Math.min(hours.length - 1, index + 1)])}
+              disabled={index === hours.length - 1}
+              aria-label="Next forecast hour"
+            >
+              ▶
+            </button>
+            <span className="forecast-hour-label">{formatForecastHour(hours[index], forecast.issuedAt)}</span>
+          </div>
+
+          <div className="data-source-row">
+            <label className="control-field">
+              Flag {POLLUTANTS[pollutant].name} at AQI
+              <select
+                className="control-select"
+                value={threshold}
+                onChange={(e) => onThresholdChange(Number(e.target.value))}
+              >
+                {AQI_CATEGORIES.slice(1).map(c => (
+                  <option key={c.lo} value={c.lo}>{c.lo}+ ({c.label})</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {exceedances.length === 0 ? (
+            <div className="alerts-empty">
+              No monitor is expected to reach AQI {threshold} in the next {hours.length} h.
+            </div>
+          ) : (
+            <ul className="forecast-exceedances">
+              {exceedances.map(e => (
+                <li key={e.monitor.id}>
+                  <button
+                    className="forecast-exceedance"
+                    onClick={() => onTimeChange(e.peakTime)}
+                    title="Show the forecast at the peak hour"
+                  >
+                    <span className="forecast-aqi" style={{ background: getAQIColor(e.peakAqi) }}>{e.peakAqi}</span>
+                    <span className="forecast-name">{e.monitor.name}</span>
+                    <span className="forecast-when">
+                      from {formatForecastHour(e.firstTime, forecast.issuedAt)} · {e.hours} h over,
+                      peak {formatForecastHour(e.peakTime, forecast.issuedAt)}
+                      {e.upwind.length > 0 && ` · upwind: ${e.upwind
+                        .map(u => `${u.monitor.name} ${Math.round(u.share * 100)}%`)
+                        .join(", ")}`}
+                    </span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
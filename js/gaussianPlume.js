@@ -0,0 +1,223 @@
+/* =======================================================
+   GAUSSIAN PLUME MODEL
+   Steady-state ground-level concentration downwind of each
+   active monitor, gridded over the map view for the heatmap.
+
+   Monitors are receptors, not stacks, so each source's
+   emission rate is back-calculated: Q is chosen so the model's
+   centreline concentration at `refDistanceM` downwind equals
+   the monitor's measured value. The grid therefore reads in
+   the monitor's own units (µg/m³ for PM2.5).
+   ======================================================= */
+const PLUME_MODEL = {
+  stability: "D",        // Pasquill–Gifford class A–F
+  releaseHeightM: 10,    // effective release height H
+  refDistanceM: 250,     // calibration distance for Q
+  minWindMs: 0.5,        // avoid the u → 0 singularity
+  maxDistanceM: 25000,   // ignore receptors beyond this downwind range
+  gridCols: 160,
+  gridRows: 110
+};
+
+const MPH_TO_MS = 0.44704;
+const M_PER_DEG_LAT = 111320;
+
+// Briggs (1973) open-country σy/σz fits, x in metres
+const STABILITY_CLASSES = {
+  A: { label: "A – Very unstable",
+       sy: x => 0.22 * x / Math.sqrt(1 + 0.0001 * x),
+       sz: x => 0.20 * x },
+  B: { label: "B – Unstable",
+       sy: x => 0.16 * x / Math.sqrt(1 + 0.0001 * x),
+       sz: x => 0.12 * x },
+  C: { label: "C – Slightly unstable",
+       sy: x => 0.11 * x / Math.sqrt(1 + 0.0001 * x),
+       sz: x => 0.08 * x / Math.sqrt(1 + 0.0002 * x) },
+  D: { label: "D – Neutral",
+       sy: x => 0.08 * x / Math.sqrt(1 + 0.0001 * x),
+       sz: x => 0.06 * x / Math.sqrt(1 + 0.0015 * x) },
+  E: { label: "E – Slightly stable",
+       sy: x => 0.06 * x / Math.sqrt(1 + 0.0001 * x),
+       sz: x => 0.03 * x / (1 + 0.0003 * x) },
+  F: { label: "F – Stable",
+       sy: x => 0.04 * x / Math.sqrt(1 + 0.0001 * x),
+       sz: x => 0.016 * x / (1 + 0.0003 * x) }
+};
+
+/**
+ * PLUME_MODEL with `options` applied and the stability class looked up.
+ * Resolve once per grid and pass the result down: options that are
+ * already resolved come back as they are.
+ */
+function resolvePlumeOptions(options = {}) {
+  if (options.sigma) return options;
+  const opts = { ...PLUME_MODEL, ...options };
+  return { ...opts, sigma: STABILITY_CLASSES[opts.stability] || STABILITY_CLASSES.D };
+}
+
+/**
+ * Ground-level concentration per unit emission (C/Q) at downwind x,
+ * crosswind y (metres), with total reflection at the ground.
+ */
+function plumeDilution(x, y, windMs, options = {}) {
+  const opts = resolvePlumeOptions(options);
+  if (x <= 1 || x > opts.maxDistanceM) return 0;
+  const sy = opts.sigma.sy(x);
+  const sz = opts.sigma.sz(x);
+  const H = opts.releaseHeightM;
+  return (
+    Math.exp(-(y * y) / (2 * sy * sy)) *
+    Math.exp(-(H * H) / (2 * sz * sz)) /
+    (Math.PI * windMs * sy * sz)
+  );
+}
+
+/**
+ * Turn a monitor reading into a plume source. `value` is the measured
+ * concentration to calibrate against; returns null when it's missing.
+ */
+function plumeSourceFromReading(reading, value, options = {}) {
+  const opts = resolvePlumeOptions(options);
+  if (!Number.isFinite(value) || value <= 0) return null;
+  const windMs = Math.max(opts.minWindMs, reading.windSpeed * MPH_TO_MS);
+  const unit = plumeDilution(opts.refDistanceM, 0, windMs, opts);
+  return {
+    lat: reading.lat,
+    lon: reading.lon,
+    windMs,
+    angle: (reading.windDirection * Math.PI) / 180,
+    q: unit > 0 ? value / unit : 0
+  };
+}
+
+/** Summed concentration from all sources at lat/lon. */
+function concentrationAt(sources, lat, lon, options = {}) {
+  const opts = resolvePlumeOptions(options);
+  let c = 0;
+  for (const s of sources) {
+    const dx = (lon - s.lon) * M_PER_DEG_LAT * Math.cos((s.lat * Math.PI) / 180);
+    const dy = (lat - s.lat) * M_PER_DEG_LAT;
+    // rotate into plume coordinates (x downwind, y crosswind)
+    const x = dx * Math.cos(s.angle) + dy * Math.sin(s.angle);
+    const y = -dx * Math.sin(s.angle) + dy * Math.cos(s.angle);
+    c += s.q * plumeDilution(x, y, s.windMs, opts);
+  }
+  return c;
+}
+
+/**
+ * Concentration grid over bounds { south, west, north, east }.
+ * Row 0 is the northern edge so the grid maps straight onto an image.
+ */
+function computePlumeGrid(sources, bounds, options = {}) {
+  const opts = resolvePlumeOptions(options);
+  const cols = opts.gridCols;
+  const rows = opts.gridRows;
+  const values = new Float32Array(cols * rows);
+  let max = 0;
+
+  for (let j = 0; j < rows; j++) {
+    const lat = bounds.north - ((bounds.north - bounds.south) * (j + 0.5)) / rows;
+    for (let i = 0; i < cols; i++) {
+      const lon = bounds.west + ((bounds.east - bounds.west) * (i + 0.5)) / cols;
+      const c = concentrationAt(sources, lat, lon, opts);
+      values[j * cols + i] = c;
+      if (c > max) max = c;
+    }
+  }
+
+  return { ...bounds, cols, rows, values, max };
+}
+
+/* ---------------------------------------
+   Colour ramp + rendering
+   --------------------------------------- */
+
+// default scale: PM2.5 (µg/m³) AQI breakpoints with the category colours
+const CONCENTRATION_RAMP = pollutantRamp("pm25");
+
+/** [r, g, b, a] for a concentration, interpolating between ramp stops. */
+function rampColor(value, ramp = CONCENTRATION_RAMP) {
+  if (!(value > ramp[0].value)) return [0, 0, 0, 0];
+  for (let k = 1; k < ramp.length; k++) {
+    const lo = ramp[k - 1];
+    const hi = ramp[k];
+    if (value <= hi.value) {
+      const f = (value - lo.value) / (hi.value - lo.value);
+      return [
+        lo.color[0] + (hi.color[0] - lo.color[0]) * f,
+        lo.color[1] + (hi.color[1] - lo.color[1]) * f,
+        lo.color[2] + (hi.color[2] - lo.color[2]) * f,
+        lo.alpha + (hi.alpha - lo.alpha) * f
+      ];
+    }
+  }
+  const last = ramp[ramp.length - 1];
+  return [...last.color, last.alpha];
+}
+
+/** Paint the grid as a smoothed image stretched over its bounds. */
+function drawConcentrationHeatmap(ctx, grid, project, ramp = CONCENTRATION_RAMP) {
+  const img = new ImageData(grid.cols, grid.rows);
+  for (let k = 0; k < grid.values.length; k++) {
+    const [r, g, b, a] = rampColor(grid.values[k], ramp);
+    img.data[k * 4] = r;
+    img.data[k * 4 + 1] = g;
+    img.data[k * 4 + 2] = b;
+    img.data[k * 4 + 3] = a * 255;
+  }
+
+  const off = document.createElement("canvas");
+  off.width = grid.cols;
+  off.height = grid.rows;
+  off.getContext("2d").putImageData(img, 0, 0);
+
+  const nw = project(grid.north, grid.west);
+  const se = project(grid.south, grid.east);
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(off, nw.x, nw.y, se.x - nw.x, se.y - nw.y);
+}
+
+/** Isolines at each ramp level (marching squares on the grid cells). */
+function drawConcentrationContours(ctx, grid, project, ramp = CONCENTRATION_RAMP) {
+  const { cols, rows, values } = grid;
+  const lonAt = (i) => grid.west + ((grid.east - grid.west) * (i + 0.5)) / cols;
+  const latAt = (j) => grid.north - ((grid.north - grid.south) * (j + 0.5)) / rows;
+
+  ctx.lineWidth = 1.5;
+  for (const stop of ramp.slice(1)) {
+    const level = stop.value;
+    ctx.strokeStyle = `rgb(${stop.color.join(",")})`;
+    ctx.beginPath();
+
+    for (let j = 0; j < rows - 1; j++) {
+      for (let i = 0; i < cols - 1; i++) {
+        const v0 = values[j * cols + i];           // top-left
+        const v1 = values[j * cols + i + 1];       // top-right
+        const v2 = values[(j + 1) * cols + i + 1]; // bottom-right
+        const v3 = values[(j + 1) * cols + i];     // bottom-left
+
+        // crossing points on the four cell edges
+        const pts = [];
+        const edge = (va, vb, ia, ja, ib, jb) => {
+          if ((va >= level) === (vb >= level)) return;
+          const f = (level - va) / (vb - va);
+          pts.push(project(
+            latAt(ja) + (latAt(jb) - latAt(ja)) * f,
+            lonAt(ia) + (lonAt(ib) - lonAt(ia)) * f
+          ));
+        };
+        edge(v0, v1, i, j, i + 1, j);
+        edge(v1, v2, i + 1, j, i + 1, j + 1);
+        edge(v3, v2, i, j + 1, i + 1, j + 1);
+        edge(v0, v3, i, j, i, j + 1);
+
+        for (let k = 0; k + 1 < pts.length; k += 2) {
+          ctx.moveTo(pts[k].x, pts[k].y);
+          ctx.lineTo(pts[k + 1].x, pts[k + 1].y);
+        }
+      }
+    }
+    ctx.stroke();
+  }
+}
@@ -0,0 +1,122 @@
+/* =======================================================
+   GIF ENCODER
+   Minimal animated GIF89a writer: fixed 3-3-2 RGB palette
+   (256 colours, no per-frame quantization pass), LZW
+   compression, looping forever.
+   ======================================================= */
+
+// 3 bits red, 3 bits green, 2 bits blue
+const GIF_PALETTE = (() => {
+  const p = new Uint8Array(256 * 3);
+  for (let i = 0; i < 256; i++) {
+    p[i * 3] = Math.round((((i >> 5) & 7) * 255) / 7);
+    p[i * 3 + 1] = Math.round((((i >> 2) & 7) * 255) / 7);
+    p[i * 3 + 2] = Math.round(((i & 3) * 255) / 3);
+  }
+  return p;
+})();
+
+/** RGBA pixels -> palette indices. */
+function quantizeRGBA(rgba) {
+  const out = new Uint8Array(rgba.length / 4);
+  for (let i = 0, k = 0; k < out.length; i += 4, k++) {
+    // round to the nearest level rather than truncating
+    const r = Math.min(7, (rgba[i] * 7 + 127) / 255 | 0);
+    const g = Math.min(7, (rgba[i + 1] * 7 + 127) / 255 | 0);
+    const b = Math.min(3, (rgba[i + 2] * 3 + 127) / 255 | 0);
+    out[k] = (r << 5) | (g << 2) | b;
+  }
+  return out;
+}
+
+// variable-width LZW codes packed LSB-first, as the GIF spec wants
+function lzwEncode(indices, minCodeSize, bytes) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  let nextCode = eoiCode + 1;
+  let codeSize = minCodeSize + 1;
+  let cur = 0;
+  let curBits = 0;
+  let table = new Map();
+
+  const emit = (code) => {
+    cur |= code << curBits;
+    curBits += codeSize;
+    while (curBits >= 8) {
+      bytes.push(cur & 0xff);
+      cur >>= 8;
+      curBits -= 8;
+    }
+  };
+
+  emit(clearCode);
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    emit(prefix);
+    if (nextCode === 4096) {
+      emit(clearCode);
+      table = new Map();
+      nextCode = eoiCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++;
+      table.set(key, nextCode++);
+    }
+    prefix = k;
+  }
+  emit(prefix);
+  emit(eoiCode);
+  if (curBits > 0) bytes.push(cur & 0xff);
+}
+
+/**
+ * Encode frames (palette indices from quantizeRGBA, width × height each)
+ * as a looping GIF. `delayMs` is per frame. Returns a Uint8Array.
+ */
+function encodeGIF(frames, width, height, delayMs) {
+  const out = [];
+  const u16 = (v) => out.push(v & 0xff, (v >> 8) & 0xff);
+  const str = (s) => { for (const ch of s) out.push(ch.charCodeAt(0)); };
+
+  str("GIF89a");
+  u16(width);
+  u16(height);
+  out.push(0xf7, 0, 0);            // global colour table, 8 bits/channel, 256 entries
+  for (const v of GIF_PALETTE) out.push(v);
+
+  // NETSCAPE2.0: loop forever
+  out.push(0x21, 0xff, 11);
+  str("NETSCAPE2.0");
+  out.push(3, 1, 0, 0, 0);
+
+  const delay = Math.max(2, Math.round(delayMs / 10));
+  for (const indices of frames) {
+    out.push(0x21, 0xf9, 4, 0, delay & 0xff, (delay >> 8) & 0xff, 0, 0);   // graphic control
+    out.push(0x2c);                                                          // image descriptor
+    u16(0);
+    u16(0);
+    u16(width);
+    u16(height);
+    out.push(0);
+
+    out.push(8);                   // LZW minimum code size
+    const data = [];
+    lzwEncode(indices, 8, data);
+    for (let i = 0; i < data.length; i += 255) {
+      const n = Math.min(255, data.length - i);
+      out.push(n);
+      for (let j = 0; j < n; j++) out.push(data[i + j]);
+    }
+    out.push(0);
+  }
+
+  out.push(0x3b);
+  return Uint8Array.from(out);
+}
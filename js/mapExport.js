@@ -0,0 +1,223 @@
+/* =======================================================
+   MAP EXPORT
+   Flattens the Leaflet map (base tiles, overlay canvases and
+   markers) plus a burned-in caption onto one canvas, for PNG
+   snapshots and WebM/GIF recordings of the animation.
+   ======================================================= */
+const MAP_EXPORT = {
+  videoFps: 30,
+  gifFps: 10,
+  gifMaxWidth: 640,
+  maxSeconds: 30,
+  background: "#0b0f19",
+  webmTypes: ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]
+};
+
+/**
+ * Caption drawn in the bottom-left corner.
+ * caption: { title, subtitle, legend: { title, entries: [{ color, range }] } }
+ */
+function drawExportCaption(ctx, caption, height) {
+  const pad = 10;
+  const lines = [caption.title, caption.subtitle].filter(Boolean);
+  const entries = caption.legend ? caption.legend.entries : [];
+  ctx.font = "12px system-ui, sans-serif";
+  const legendWidth = entries.reduce((w, e) => w + 22 + ctx.measureText(e.range).width, 0);
+  ctx.font = "bold 14px system-ui, sans-serif";
+  const width = Math.max(legendWidth, ...lines.map(l => ctx.measureText(l).width)) + pad * 2;
+  const boxHeight = pad * 2 + lines.length * 18 + (entries.length ? 34 : 0);
+  const top = height - boxHeight - pad;
+
+  ctx.fillStyle = "rgba(17,24,39,0.88)";
+  ctx.fillRect(pad, top, width, boxHeight);
+
+  let y = top + pad + 13;
+  lines.forEach((line, i) => {
+    ctx.font = i === 0 ? "bold 14px system-ui, sans-serif" : "12px system-ui, sans-serif";
+    ctx.fillStyle = i === 0 ? "#ffffff" : "#d1d5db";
+    ctx.fillText(line, pad * 2, y);
+    y += 18;
+  });
+
+  if (entries.length) {
+    ctx.font = "11px system-ui, sans-serif";
+    ctx.fillStyle = "#9ca3af";
+    ctx.fillText(caption.legend.title, pad * 2, y);
+    y += 14;
+    let x = pad * 2;
+    ctx.font = "12px system-ui, sans-serif";
+    for (const e of entries) {
+      ctx.fillStyle = e.color;
+      ctx.fillRect(x, y - 9, 14, 10);
+      ctx.fillStyle = "#d1d5db";
+      ctx.fillText(e.range, x + 18, y);
+      x += 22 + ctx.measureText(e.range).width;
+    }
+  }
+}
+
+/**
+ * Draw the map as it looks on screen into `canvas` (resized to match).
+ * Tiles are skipped when `includeTiles` is false, e.g. after a CORS taint.
+ */
+function composeMapFrame(map, canvas, { caption, includeTiles = true } = {}) {
+  const container = map.getContainer();
+  const box = container.getBoundingClientRect();
+  const w = Math.round(box.width);
+  const h = Math.round(box.height);
+  if (canvas.width !== w || canvas.height !== h) {
+    canvas.width = w;
+    canvas.height = h;
+  }
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = MAP_EXPORT.background;
+  ctx.fillRect(0, 0, w, h);
+
+  const place = (el) => {
+    const r = el.getBoundingClientRect();
+    return [r.left - box.left, r.top - box.top, r.width, r.height];
+  };
+
+  if (includeTiles) {
+    container.querySelectorAll(".leaflet-tile-pane img.leaflet-tile-loaded")
+      .forEach(img => ctx.drawImage(img, ...place(img)));
+  }
+  container.querySelectorAll(".leaflet-overlay-pane canvas")
+    .forEach(c => c.width && c.height && ctx.drawImage(c, ...place(c)));
+
+  // divIcon markers: monitors as dots, sources as the diamonds they are on screen
+  container.querySelectorAll(".monitor-marker .dot, .source-marker").forEach(el => {
+    const [x, y, mw, mh] = place(el);
+    const cx = x + mw / 2;
+    const cy = y + mh / 2;
+    const r = Math.max(mw, mh) / 2;
+    ctx.beginPath();
+    if (el.classList.contains("source-marker")) {
+      ctx.moveTo(cx, cy - r);
+      ctx.lineTo(cx + r, cy);
+      ctx.lineTo(cx, cy + r);
+      ctx.lineTo(cx - r, cy);
+      ctx.closePath();
+    } else {
+      ctx.arc(cx, cy, r, 0, Math.PI * 2);
+    }
+    ctx.fillStyle = getComputedStyle(el).backgroundColor;
+    ctx.fill();
+    ctx.lineWidth = 1.5;
+    ctx.strokeStyle = "#111827";
+    ctx.stroke();
+  });
+
+  if (caption) drawExportCaption(ctx, caption, h);
+  return canvas;
+}
+
+const canvasToBlob = (canvas, type) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(b => (b ? resolve(b) : reject(new Error("could not encode image"))), type));
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+// "Downtown Detroit" + now -> "downtown-detroit-20250115-0300"
+function exportFileName(label, ext) {
+  const slug = String(label || "map").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${slug}-${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}-${pad(d.getHours())}${pad(d.getMinutes())}.${ext}`;
+}
+
+// a tainted canvas (tiles without CORS headers) throws on read-back
+function canvasReadable(canvas) {
+  try {
+    canvas.getContext("2d").getImageData(0, 0, 1, 1);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * PNG of the current view. Resolves { blob, tiles } where `tiles` is
+ * false if the base map had to be left out.
+ */
+async function exportMapPNG(map, caption) {
+  const canvas = document.createElement("canvas");
+  composeMapFrame(map, canvas, { caption });
+  let tiles = true;
+  if (!canvasReadable(canvas)) {
+    tiles = false;
+    composeMapFrame(map, canvas, { caption, includeTiles: false });
+  }
+  return { blob: await canvasToBlob(canvas, "image/png"), tiles };
+}
+
+/**
+ * Record `seconds` of the live map as "webm" or "gif". `getCaption()` is
+ * called every frame so the caption follows playback. Aborting `signal`
+ * stops early and still returns what was captured. `onProgress(fraction,
+ * phase)` reports "recording" and then, for GIFs, "encoding".
+ * Resolves { blob, tiles }.
+ */
+async function recordMapAnimation(map, { format, seconds, getCaption, signal, onProgress }) {
+  const canvas = document.createElement("canvas");
+  composeMapFrame(map, canvas, { caption: getCaption() });
+  const tiles = canvasReadable(canvas);
+  const durationMs = clamp(seconds, 1, MAP_EXPORT.maxSeconds) * 1000;
+
+  // run `draw(elapsed)` every animation frame until time's up or aborted
+  const capture = (draw) => new Promise(resolve => {
+    const t0 = performance.now();
+    const tick = () => {
+      const elapsed = performance.now() - t0;
+      if (elapsed >= durationMs || (signal && signal.aborted)) return resolve();
+      composeMapFrame(map, canvas, { caption: getCaption(), includeTiles: tiles });
+      draw(elapsed);
+      if (onProgress) onProgress(elapsed / durationMs, "recording");
+      requestAnimationFrame(tick);
+    };
+    tick();
+  });
+
+  if (format === "gif") {
+    const scale = Math.min(1, MAP_EXPORT.gifMaxWidth / canvas.width);
+    const small = document.createElement("canvas");
+    small.width = Math.round(canvas.width * scale);
+    small.height = Math.round(canvas.height * scale);
+    const sctx = small.getContext("2d", { willReadFrequently: true });
+    const frames = [];
+    const interval = 1000 / MAP_EXPORT.gifFps;
+    await capture((elapsed) => {
+      if (elapsed < frames.length * interval) return;
+      sctx.drawImage(canvas, 0, 0, small.width, small.height);
+      frames.push(quantizeRGBA(sctx.getImageData(0, 0, small.width, small.height).data));
+    });
+    if (!frames.length) throw new Error("nothing was recorded");
+    if (onProgress) onProgress(1, "encoding");
+    // let the "encoding" status paint before the (blocking) encode
+    await new Promise(r => setTimeout(r, 30));
+    const gif = encodeGIF(frames, small.width, small.height, interval);
+    return { blob: new Blob([gif], { type: "image/gif" }), tiles };
+  }
+
+  if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+    throw new Error("this browser can't record video (no MediaRecorder)");
+  }
+  const mimeType = MAP_EXPORT.webmTypes.find(t => MediaRecorder.isTypeSupported(t));
+  if (!mimeType) throw new Error("this browser can't record WebM");
+
+  const recorder = new MediaRecorder(canvas.captureStream(MAP_EXPORT.videoFps), { mimeType });
+  const chunks = [];
+  recorder.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+  recorder.start();
+  await capture(() => {});
+  recorder.stop();
+  await stopped;
+  return { blob: new Blob(chunks, { type: "video/webm" }), tiles };
+}
@@ -0,0 +1,106 @@
+/* =======================================================
+   MONITOR LIST
+   Searchable, keyboard-navigable alternative to clicking map
+   markers. Arrow keys move, Enter selects, Shift+Enter adds
+   to the comparison; each row spells out its AQI category.
+   ======================================================= */
+const MonitorList = ({ monitors, time, selectedId, comparedIds, onSelect, onToggleCompare }) => {
+  const [query, setQuery] = React.useState("");
+  const [activeIndex, setActiveIndex] = React.useState(0);
+  const listRef = React.useRef(null);
+
+  const rows = React.useMemo(() => {
+    const q = query.trim().toLowerCase();
+    return monitors
+      .filter(m => !q || m.name.toLowerCase().includes(q))
+      .map(m => ({ monitor: m, aqi: computeAQI(m, time).aqi }));
+  }, [monitors, time, query]);
+
+  const active = Math.min(activeIndex, Math.max(0, rows.length - 1));
+  const optionId = (m) => `monitor-option-${m.id}`;
+
+  // keep the highlighted row in view
+  React.useEffect(() => {
+    const row = rows[active];
+    const el = row && document.getElementById(optionId(row.monitor));
+    if (el) el.scrollIntoView({ block: "nearest" });
+  }, [active, rows]);
+
+  const choose = (m, compare) => (compare ? onToggleCompare(m) : onSelect(m));
+
+  const onKeyDown = (e) => {
+    const last = rows.length - 1;
+    switch (e.key) {
+      case "ArrowDown": setActiveIndex(Math.min(last, active + 1)); break;
+      case "ArrowUp": setActiveIndex(Math.max(0, active - 1)); break;
+      case "Home": setActiveIndex(0); break;
+      case "End": setActiveIndex(Math.max(0, last)); break;
+      case "Enter":
+      case " ":
+        if (rows[active]) choose(rows[active].monitor, e.shiftKey);
+        break;
+      default:
+        return;
+    }
+    e.preventDefault();
+  };
+
+  return (
+    <div className="monitor-list">
+      <input
+        type="search"
+        className="data-source-input monitor-list-search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+        }}
+        onKeyDown={(e) => {
+          if (e.key === "ArrowDown" && listRef.current) {
+            e.preventDefault();
+            listRef.current.focus();
+          }
+        }}
+        placeholder="Search monitors"
+        aria-label="Search monitors"
+        aria-controls="monitor-listbox"
+      />
+      <ul
+        id="monitor-listbox"
+        ref={listRef}
+        className="monitor-list-options"
+        role="listbox"
+        tabIndex={0}
+        aria-label="Monitors. Enter selects, Shift+Enter adds to the comparison."
+        aria-activedescendant={rows[active] ? optionId(rows[active].monitor) : undefined}
+        onKeyDown={onKeyDown}
+      >
+        {rows.length === 0 && <li className="monitor-list-empty">No monitors match “{query}”.</li>}
+        {rows.map(({ monitor, aqi }, i) => {
+          const selected = selectedId === monitor.id;
+          const compared = comparedIds.includes(String(monitor.id));
+          return (
+            <li
+              key={monitor.id}
+              id={optionId(monitor)}
+              role="option"
+              aria-selected={selected}
+              className={`monitor-list-option ${i === active ? "active" : ""} ${selected ? "selected" : ""} ${compared ? "compared" : ""}`}
+              onClick={(e) => {
+                setActiveIndex(i);
+                choose(monitor, e.shiftKey);
+              }}
+            >
+              <span className="monitor-list-swatch" style={{ background: aqi === null ? "#4b5563" : getAQIColor(aqi) }} aria-hidden="true" />
+              <span className="monitor-list-name">{monitor.name}</span>
+              <span className="monitor-list-aqi">
+                {aqi === null ? "No AQI" : `AQI ${aqi} · ${getAQILabel(aqi)}`}
+                {compared && " · comparing"}
+              </span>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,49 @@
+/* =======================================================
+   OFFLINE STORE
+   Keeps the last successfully loaded monitors in IndexedDB so
+   the app can start (and say how stale it is) without a
+   network, and registers the service worker (sw.js).
+   ======================================================= */
+const OFFLINE_DB = { name: "aqiTracker", version: 1, store: "snapshots" };
+const MONITOR_SNAPSHOT_ID = "monitors";
+
+function openOfflineDB() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB is not available"));
+    const req = indexedDB.open(OFFLINE_DB.name, OFFLINE_DB.version);
+    req.onupgradeneeded = () => req.result.createObjectStore(OFFLINE_DB.store, { keyPath: "id" });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// run one request against the snapshots store
+async function withSnapshotStore(mode, makeRequest) {
+  const db = await openOfflineDB();
+  try {
+    return await new Promise((resolve, reject) => {
+      const req = makeRequest(db.transaction(OFFLINE_DB.store, mode).objectStore(OFFLINE_DB.store));
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+/** Remember monitors as the last-known data, stamped with the time. */
+const saveMonitorSnapshot = (monitors, savedAt = Date.now()) =>
+  withSnapshotStore("readwrite", store => store.put({ id: MONITOR_SNAPSHOT_ID, monitors, savedAt }));
+
+/** { monitors, savedAt } from the last successful load, or undefined. */
+const loadMonitorSnapshot = () =>
+  withSnapshotStore("readonly", store => store.get(MONITOR_SNAPSHOT_ID));
+
+/**
+ * Register sw.js; skipped (resolves to null) where service workers can't
+ * run, e.g. file://. Rejects when registration fails.
+ */
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || !/^https?:$/.test(location.protocol)) return Promise.resolve(null);
+  return navigator.serviceWorker.register("sw.js");
+}
@@ -0,0 +1,159 @@
+/* =======================================================
+   PARTICLE ENGINE
+   Main-thread side of the particle simulation: drives the
+   worker (or, where workers can't start, e.g. pages opened
+   from file://, the same simulation in-thread) and draws the
+   returned frames with pre-rendered sprites.
+   ======================================================= */
+// next to this file, so pages embedding the tracker from elsewhere still find it
+const PARTICLE_WORKER_URL = document.currentScript
+  ? new URL("particleWorker.js", document.currentScript.src).href
+  : "js/particleWorker.js";
+
+// radius of the pre-rendered sprite; drawn scaled to each particle's size
+const SPRITE_RADIUS = 32;
+
+/**
+ * Start an engine. `onFrame({ buffer, count, colors, step, stats })` fires
+ * per completed step (`step` as passed to step()); hand the buffer back
+ * with release() once drawn.
+ */
+function createParticleEngine(onFrame) {
+  let worker = null;
+  let sim = null;
+  let busy = false;
+  let spare = null;
+  let pendingColors = null;
+  let pendingStep = null;
+  let lastField = null;
+  let lastSurface = null;
+
+  const engine = {
+    mode: "worker",
+    // why the worker isn't used, shown in the perf overlay
+    fallbackReason: null,
+
+    configure(plume) {
+      if (worker) worker.postMessage({ type: "config", plume });
+      else sim.plume = plume;
+    },
+
+    setField(field) {
+      lastField = field;
+      if (worker) worker.postMessage({ type: "field", field });
+      else sim.field = field;
+    },
+
+    setSurface(surface) {
+      lastSurface = surface;
+      if (worker) worker.postMessage({ type: "surface", surface });
+      else sim.surface = surface;
+    },
+
+    reset(prefix = "") {
+      if (worker) worker.postMessage({ type: "reset", prefix });
+      else resetParticles(sim, prefix);
+    },
+
+    /** Queue one frame; false (and nothing sent) while the last is still running. */
+    step(step, colors) {
+      if (busy) return false;
+      busy = true;
+      pendingColors = colors;
+      pendingStep = step;
+      const buffer = spare;
+      spare = null;
+      if (worker) {
+        worker.postMessage({ type: "step", step, buffer }, buffer ? [buffer.buffer] : []);
+      } else {
+        const t0 = performance.now();
+        const { buffer: out, count } = stepParticles(sim, step, buffer);
+        finish(out, count, { alive: sim.aliveCount, capacity: sim.capacity, stepMs: performance.now() - t0 });
+      }
+      return true;
+    },
+
+    release(buffer) {
+      spare = buffer;
+    },
+
+    terminate() {
+      if (worker) worker.terminate();
+    }
+  };
+
+  function finish(buffer, count, stats) {
+    busy = false;
+    onFrame({ buffer, count, colors: pendingColors, step: pendingStep, stats: { ...stats, mode: engine.mode, fallbackReason: engine.fallbackReason } });
+  }
+
+  function useMainThread(reason) {
+    if (worker) worker.terminate();
+    worker = null;
+    busy = false;
+    sim = createParticleSim(PLUME);
+    sim.field = lastField;
+    sim.surface = lastSurface;
+    engine.mode = "main thread";
+    engine.fallbackReason = `Particle worker unavailable: ${reason}`;
+  }
+
+  try {
+    worker = new Worker(PARTICLE_WORKER_URL);
+    worker.onmessage = ({ data }) => finish(data.buffer, data.count, data.stats);
+    // a worker that fails to load reports asynchronously
+    worker.onerror = (e) => {
+      e.preventDefault();
+      useMainThread(e.message || "failed to load");
+    };
+  } catch (err) {
+    useMainThread(err.message);
+  }
+  return engine;
+}
+
+/* ---------------------------------------
+   Drawing
+   --------------------------------------- */
+const particleSprites = new Map();
+
+// soft dot in one colour (a hollow ring for "forecast"), rendered once and reused
+function particleSprite({ r, g, b }, style = "plume") {
+  const key = `${style}:${r},${g},${b}`;
+  let sprite = particleSprites.get(key);
+  if (!sprite) {
+    const size = SPRITE_RADIUS * 2;
+    sprite = typeof OffscreenCanvas !== "undefined"
+      ? new OffscreenCanvas(size, size)
+      : Object.assign(document.createElement("canvas"), { width: size, height: size });
+    const sctx = sprite.getContext("2d");
+    const grad = sctx.createRadialGradient(SPRITE_RADIUS, SPRITE_RADIUS, 0, SPRITE_RADIUS, SPRITE_RADIUS, SPRITE_RADIUS);
+    if (style === "forecast") {
+      grad.addColorStop(0, `rgba(${r},${g},${b},0)`);
+      grad.addColorStop(0.55, `rgba(${r},${g},${b},1)`);
+    } else {
+      grad.addColorStop(0, `rgba(${r},${g},${b},1)`);
+    }
+    grad.addColorStop(1, `rgba(${r},${g},${b},0)`);
+    sctx.fillStyle = grad;
+    sctx.fillRect(0, 0, size, size);
+    particleSprites.set(key, sprite);
+  }
+  return sprite;
+}
+
+/**
+ * Draw a frame's particles (layer coordinates) with per-emitter colours;
+ * a colour's optional `a` scales that emitter's opacity.
+ */
+function drawParticles(ctx, buffer, count, colors, style = "plume") {
+  const sprites = colors.map(c => particleSprite(c, style));
+  const alphas = colors.map(c => c.a ?? 1);
+  for (let n = 0; n < count; n++) {
+    const o = n * PARTICLE_STRIDE;
+    const size = buffer[o + 2];
+    ctx.globalAlpha = buffer[o + 3] * alphas[buffer[o + 4]];
+    ctx.drawImage(sprites[buffer[o + 4]], buffer[o] - size, buffer[o + 1] - size, size * 2, size * 2);
+  }
+  ctx.globalAlpha = 1;
+}
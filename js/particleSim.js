@@ -0,0 +1,279 @@
+/* =======================================================
+   PARTICLE SIMULATION
+   Plume advection over struct-of-arrays typed buffers. Dead
+   slots go on a free list and are reused, so steady-state
+   frames allocate nothing. No DOM or Leaflet here: the same
+   code runs in js/particleWorker.js or on the main thread.
+   ======================================================= */
+
+// floats per particle in the draw buffer: x, y, size, alpha, emitter index
+const PARTICLE_STRIDE = 5;
+
+const PARTICLE_INITIAL_CAPACITY = 4096;
+
+// Leaflet's EPSG:3857 latitude limit
+const MERCATOR_MAX_LAT = 85.0511287798;
+
+// headings tried (radians off course) when a step would enter an obstacle,
+// and the speed kept while skirting around it
+const DEFLECT_TURNS = [0.5, -0.5, 1, -1, Math.PI / 2, -Math.PI / 2];
+const DEFLECT_SLOWDOWN = 0.5;
+
+function allocParticleArrays(capacity) {
+  return {
+    capacity,
+    lat: new Float64Array(capacity),
+    lon: new Float64Array(capacity),
+    originLat: new Float64Array(capacity),
+    originLon: new Float64Array(capacity),
+    life: new Float32Array(capacity),
+    speedJitter: new Float32Array(capacity),
+    emitter: new Uint16Array(capacity),
+    alive: new Uint8Array(capacity),
+    free: new Int32Array(capacity)
+  };
+}
+
+/** Empty simulation. `plume` is the PLUME-shaped config it reads each step. */
+function createParticleSim(plume, capacity = PARTICLE_INITIAL_CAPACITY) {
+  return {
+    ...allocParticleArrays(capacity),
+    used: 0,           // high-water mark: slots [0, used) have been handed out
+    freeTop: 0,        // entries on the free stack
+    aliveCount: 0,
+    plume,
+    field: null,
+    surface: null,     // class grid from buildSurfaceGrid(), or null for open ground
+    // emitter id -> { slot, spawnAccum, count }
+    emitters: new Map(),
+    freeEmitterSlots: [],
+    nextEmitterSlot: 0,
+    wind: { u: 0, v: 0, speed: 0, angle: 0 },
+    slotToStep: new Int32Array(256)
+  };
+}
+
+// double every buffer, keeping the live contents
+function growParticleSim(sim) {
+  const next = allocParticleArrays(sim.capacity * 2);
+  for (const key of ["lat", "lon", "originLat", "originLon", "life", "speedJitter", "emitter", "alive", "free"]) {
+    next[key].set(sim[key]);
+  }
+  Object.assign(sim, next);
+}
+
+function allocParticle(sim) {
+  if (sim.freeTop > 0) return sim.free[--sim.freeTop];
+  if (sim.used === sim.capacity) growParticleSim(sim);
+  return sim.used++;
+}
+
+function killParticle(sim, i) {
+  sim.alive[i] = 0;
+  sim.free[sim.freeTop++] = i;
+  sim.aliveCount--;
+}
+
+// new particle slightly upwind/around the emitter
+function spawnParticle(sim, e, slot) {
+  const p = sim.plume;
+  const i = allocParticle(sim);
+  const backAngle = e.windAngle + Math.PI + (Math.random() - 0.5) * 0.5 * p.spawnAngleJitter;
+  const r = (Math.random() * 0.003 + 0.0002) * p.spawnRadiusMult;
+  sim.lat[i] = e.lat + Math.cos(backAngle) * r;
+  sim.lon[i] = e.lon + Math.sin(backAngle) * r;
+  sim.originLat[i] = e.lat;
+  sim.originLon[i] = e.lon;
+  sim.life[i] = Math.random() * 0.2;
+  // per-particle speed variation; actual speed comes from the local wind
+  sim.speedJitter[i] = 0.7 + Math.random() * 0.8;
+  sim.emitter[i] = slot;
+  sim.alive[i] = 1;
+  sim.aliveCount++;
+}
+
+function emitterState(sim, id) {
+  let state = sim.emitters.get(id);
+  if (!state) {
+    const slot = sim.freeEmitterSlots.length ? sim.freeEmitterSlots.pop() : sim.nextEmitterSlot++;
+    if (slot >= sim.slotToStep.length) {
+      const bigger = new Int32Array(sim.slotToStep.length * 2);
+      bigger.set(sim.slotToStep);
+      sim.slotToStep = bigger;
+    }
+    state = { slot, spawnAccum: 0, count: 0 };
+    sim.emitters.set(id, state);
+  }
+  return state;
+}
+
+/** Kill every particle whose emitter id starts with `prefix` ("" = all). */
+function resetParticles(sim, prefix = "") {
+  const slots = new Set();
+  for (const [id, state] of sim.emitters) {
+    if (!id.startsWith(prefix)) continue;
+    slots.add(state.slot);
+    sim.emitters.delete(id);
+    sim.freeEmitterSlots.push(state.slot);
+  }
+  for (let i = 0; i < sim.used; i++) {
+    if (sim.alive[i] && slots.has(sim.emitter[i])) killParticle(sim, i);
+  }
+}
+
+// surface class effects at a point; null outside the grid
+function surfaceAt(surface, lat, lon) {
+  const c = Math.floor((lon - surface.west) / surface.cellDeg);
+  const r = Math.floor((lat - surface.south) / surface.cellDeg);
+  if (c < 0 || r < 0 || c >= surface.cols || r >= surface.rows) return null;
+  return surface.classes[surface.cells[r * surface.cols + c]];
+}
+
+const isBlocked = (surface, lat, lon) => {
+  const here = surfaceAt(surface, lat, lon);
+  return !!here && here.blocked;
+};
+
+// EPSG:3857 at `zoom`, minus the map's pixel origin = Leaflet layer point
+function projectToLayer(lat, lon, view, out) {
+  const scale = 256 * Math.pow(2, view.zoom);
+  const s = Math.sin((Math.max(-MERCATOR_MAX_LAT, Math.min(MERCATOR_MAX_LAT, lat)) * Math.PI) / 180);
+  out.x = scale * (0.5 + lon / 360) - view.originX;
+  out.y = scale * (0.5 - Math.log((1 + s) / (1 - s)) / (4 * Math.PI)) - view.originY;
+  return out;
+}
+
+/**
+ * Advance one frame.
+ *  step: { dt, now, view: { zoom, originX, originY },
+ *          emitters: [{ id, lat, lon, windAngle, scale }] }
+ * Emitters missing from the list lose their particles. Writes live
+ * particles into `out` (grown when too small) as PARTICLE_STRIDE floats
+ * each, with the emitter's index in `step.emitters`, and returns
+ * { buffer, count }.
+ */
+function stepParticles(sim, step, out) {
+  const p = sim.plume;
+  const field = sim.field;
+  const surface = sim.surface;
+  const { dt, now, view, emitters } = step;
+
+  // which emitter slots are active this step
+  sim.slotToStep.fill(-1);
+  const states = emitters.map((e, k) => {
+    const state = emitterState(sim, e.id);
+    sim.slotToStep[state.slot] = k;
+    return state;
+  });
+
+  // spawning: initial burst for an empty emitter, then a steady rate
+  if (field) {
+    emitters.forEach((e, k) => {
+      const state = states[k];
+      if (state.count === 0 && p.initialBurst > 0) {
+        const n0 = Math.min(Math.round(p.initialBurst * e.scale), p.maxParticlesPerMonitor);
+        for (let n = 0; n < n0; n++) spawnParticle(sim, e, state.slot);
+        state.count += n0;
+      }
+      state.spawnAccum += p.spawnPerSec * e.scale * dt;
+      let toSpawn = Math.floor(state.spawnAccum);
+      if (toSpawn > 0) {
+        toSpawn = Math.min(toSpawn, Math.max(0, p.maxParticlesPerMonitor - state.count));
+        for (let n = 0; n < toSpawn; n++) spawnParticle(sim, e, state.slot);
+        state.count += toSpawn;
+        state.spawnAccum -= toSpawn;
+      }
+    });
+  }
+
+  for (const state of states) state.count = 0;
+  if (!out || out.length < sim.aliveCount * PARTICLE_STRIDE) {
+    out = new Float32Array(Math.max(sim.capacity, sim.aliveCount) * PARTICLE_STRIDE);
+  }
+
+  const wind = sim.wind;
+  const pt = { x: 0, y: 0 };
+  let n = 0;
+  for (let i = 0; i < sim.used; i++) {
+    if (!sim.alive[i]) continue;
+    const k = sim.slotToStep[sim.emitter[i]];
+    if (k < 0 || !field) {
+      killParticle(sim, i);
+      continue;
+    }
+    let lat = sim.lat[i];
+    let lon = sim.lon[i];
+    const oLat = sim.originLat[i];
+    const oLon = sim.originLon[i];
+
+    // smooth vector field (base wind + coherent noise)
+    const noise =
+      Math.sin((lat * p.noiseSpaceLat + lon * p.noiseSpaceLon + now * p.noiseTime) * 2 * Math.PI) * 0.6 +
+      Math.cos((lat * (p.noiseSpaceLat * 0.8) - now * p.noiseTime * 1.3) * 2 * Math.PI) * 0.4;
+
+    // local wind sampled from the interpolated field at the particle
+    sampleWindField(field, lat, lon, wind);
+    // surface roughness: slower and wider over cities, faster and tighter over water
+    const ground = surface && surfaceAt(surface, lat, lon);
+    const spread = ground ? ground.spread : 1;
+    const speed = (wind.speed / 1000) * p.speedFactorDeg * sim.speedJitter[i] * (ground ? ground.speed : 1);
+    const angle = wind.angle + noise * p.noiseAngleScale * p.spreadAngleMult * spread;
+    // sideways drift grows with distance from the source (0 near → 1 far)
+    const distNorm = Math.min(1, Math.hypot(lat - oLat, lon - oLon) / p.maxRangeDeg);
+
+    // integrate (deg); correct lon step for latitude
+    const cosLat = Math.max(0.15, Math.cos((lat * Math.PI) / 180));
+    const cw = p.crosswindDrift * distNorm * speed * spread;
+    let nextLat = lat + Math.sin(angle) * speed + Math.sin(angle + Math.PI / 2) * cw;
+    let nextLon = lon + (Math.cos(angle) * speed + Math.cos(angle + Math.PI / 2) * cw) / cosLat;
+
+    // obstacles: steer around (slowed) instead of passing through; a particle
+    // already inside one (e.g. spawned on a rooftop monitor) moves freely
+    if (surface && isBlocked(surface, nextLat, nextLon) && !(ground && ground.blocked)) {
+      const slow = speed * DEFLECT_SLOWDOWN;
+      nextLat = lat;
+      nextLon = lon;
+      for (const turn of DEFLECT_TURNS) {
+        const tryLat = lat + Math.sin(angle + turn) * slow;
+        const tryLon = lon + (Math.cos(angle + turn) * slow) / cosLat;
+        if (isBlocked(surface, tryLat, tryLon)) continue;
+        nextLat = tryLat;
+        nextLon = tryLon;
+        break;
+      }
+    }
+    lat = nextLat;
+    lon = nextLon;
+    sim.lat[i] = lat;
+    sim.lon[i] = lon;
+    sim.life[i] += 0.002;
+
+    // death conditions
+    const dist = Math.hypot(lat - oLat, lon - oLon);
+    if (dist > p.maxRangeDeg || sim.life[i] > 2.2) {
+      killParticle(sim, i);
+      continue;
+    }
+    states[k].count++;
+
+    const density = 1 - Math.min(dist / p.maxRangeDeg, 1);
+    projectToLayer(lat, lon, view, pt);
+    const o = n * PARTICLE_STRIDE;
+    out[o] = pt.x;
+    out[o + 1] = pt.y;
+    out[o + 2] = Math.max(p.minSize, Math.min(p.maxSize, 2 + 5 * density));
+    out[o + 3] = Math.max(0.10, 0.85 * density * (1 - sim.life[i] * 0.5));
+    out[o + 4] = k;
+    n++;
+  }
+
+  // forget emitters that weren't in this step (their particles died above)
+  const active = new Set(emitters.map(e => e.id));
+  for (const [id, state] of sim.emitters) {
+    if (active.has(id)) continue;
+    sim.emitters.delete(id);
+    sim.freeEmitterSlots.push(state.slot);
+  }
+
+  return { buffer: out, count: n };
+}
@@ -0,0 +1,50 @@
+/* =======================================================
+   PARTICLE WORKER
+   Runs stepParticles() off the main thread. Messages in:
+     { type: "config", plume }       PLUME values to simulate with
+     { type: "field", field }        latest interpolated wind field
+     { type: "surface", surface }    obstacle/land-use grid, or null
+     { type: "reset", prefix }       drop particles of matching emitters
+     { type: "step", step, buffer }  advance one frame
+   Message out, per step:
+     { type: "frame", buffer, count, stats }
+   The draw buffer is transferred both ways so it's never copied.
+   ======================================================= */
+
+// app.js helper used by windField.js
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+importScripts("windField.js", "particleSim.js");
+
+const sim = createParticleSim({});
+
+self.onmessage = ({ data }) => {
+  switch (data.type) {
+    case "config":
+      sim.plume = data.plume;
+      break;
+    case "field":
+      sim.field = data.field;
+      break;
+    case "surface":
+      sim.surface = data.surface;
+      break;
+    case "reset":
+      resetParticles(sim, data.prefix);
+      break;
+    case "step": {
+      const t0 = performance.now();
+      const { buffer, count } = stepParticles(sim, data.step, data.buffer);
+      self.postMessage(
+        {
+          type: "frame",
+          buffer,
+          count,
+          stats: { alive: sim.aliveCount, capacity: sim.capacity, stepMs: performance.now() - t0 }
+        },
+        [buffer.buffer]
+      );
+      break;
+    }
+  }
+};
@@ -0,0 +1,18 @@
+/* =======================================================
+   PERF OVERLAY
+   Frame rate, live particle count and simulation step time,
+   for checking "Show All" with many monitors stays smooth.
+   ======================================================= */
+const PerfOverlay = ({ stats }) => (
+  <div className="perf-overlay">
+    <div className={stats.fps < 50 ? "perf-slow" : ""}>
+      <strong>{stats.fps}</strong> fps
+    </div>
+    <div>
+      {stats.particles.toLocaleString()} particles / {stats.capacity.toLocaleString()} slots
+    </div>
+    <div>{stats.emitters} emitters · step {stats.stepMs.toFixed(1)} ms</div>
+    <div className="perf-mode">{stats.mode}</div>
+    {stats.fallbackReason && <div className="perf-mode">{stats.fallbackReason}</div>}
+  </div>
+);
@@ -0,0 +1,78 @@
+/* =======================================================
+   PLUME TUNING
+   Slider/colour definitions, presets and JSON import/export
+   for the runtime-tunable subset of PLUME.
+   ======================================================= */
+const PLUME_TUNING_FIELDS = [
+  { key: "spreadAngleMult", label: "Spread angle",     min: 0,     max: 20,   step: 0.5 },
+  { key: "crosswindDrift",  label: "Crosswind drift",  min: 0,     max: 1,    step: 0.05 },
+  { key: "noiseAngleScale", label: "Turbulence",       min: 0,     max: 0.5,  step: 0.01 },
+  { key: "speedFactorDeg",  label: "Speed",            min: 0.002, max: 0.04, step: 0.001 },
+  { key: "fadeAmount",      label: "Trail fade",       min: 0.005, max: 0.2,  step: 0.005 },
+  { key: "maxRangeDeg",     label: "Max range (°)",    min: 0.01,  max: 0.3,  step: 0.005 },
+  { key: "spawnPerSec",     label: "Spawn rate (/s)",  min: 0,     max: 300,  step: 5 }
+];
+
+const PLUME_COLOR_FIELDS = [
+  { key: "color",       label: "Monitor plume" },
+  { key: "sourceColor", label: "Source plume" }
+];
+
+// Presets are overrides on top of the PLUME defaults ({} = defaults)
+const PLUME_PRESETS = {
+  "Default": {},
+  "Calm / stable": {
+    spreadAngleMult: 3, crosswindDrift: 0, noiseAngleScale: 0.05,
+    speedFactorDeg: 0.006, fadeAmount: 0.015, maxRangeDeg: 0.05, spawnPerSec: 60
+  },
+  "Windy / unstable": {
+    spreadAngleMult: 14, crosswindDrift: 0.5, noiseAngleScale: 0.15,
+    speedFactorDeg: 0.018, fadeAmount: 0.05, maxRangeDeg: 0.15, spawnPerSec: 120
+  }
+};
+
+const PLUME_TUNING_KEYS = [
+  ...PLUME_TUNING_FIELDS.map(f => f.key),
+  ...PLUME_COLOR_FIELDS.map(f => f.key)
+];
+
+/** Current tunable values, ready for JSON export (colours as hex). */
+function exportPlumeSettings(plume) {
+  const out = {};
+  for (const f of PLUME_TUNING_FIELDS) out[f.key] = plume[f.key];
+  for (const f of PLUME_COLOR_FIELDS) out[f.key] = `#${rgbToHex(plume[f.key])}`;
+  return out;
+}
+
+/**
+ * Validate imported settings. Colours may be "#rrggbb" or { r, g, b }.
+ * Returns { settings, errors }; unknown keys are reported, not applied.
+ */
+function parsePlumeSettings(json) {
+  const settings = {};
+  const errors = [];
+  if (!json || typeof json !== "object" || Array.isArray(json)) {
+    return { settings, errors: ["settings file must be a JSON object"] };
+  }
+
+  for (const [k, v] of Object.entries(json)) {
+    const field = PLUME_TUNING_FIELDS.find(f => f.key === k);
+    if (field) {
+      const n = Number(v);
+      if (typeof v !== "number" || !Number.isFinite(n) || n < field.min || n > field.max) {
+        errors.push(`${k} must be a number ${field.min}–${field.max} (got ${JSON.stringify(v)})`);
+      } else {
+        settings[k] = n;
+      }
+    } else if (PLUME_COLOR_FIELDS.some(f => f.key === k)) {
+      const rgb = typeof v === "string"
+        ? hexToRgb(v)
+        : v && [v.r, v.g, v.b].every(c => Number.isInteger(c) && c >= 0 && c <= 255) ? { r: v.r, g: v.g, b: v.b } : null;
+      if (rgb) settings[k] = rgb;
+      else errors.push(`${k} must be "#rrggbb" or { r, g, b } (got ${JSON.stringify(v)})`);
+    } else {
+      errors.push(`unknown setting "${k}" ignored`);
+    }
+  }
+  return { settings, errors };
+}
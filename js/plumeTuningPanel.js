@@ -0,0 +1,104 @@
+/* =======================================================
+   PLUME TUNING PANEL
+   Collapsible map overlay that edits PLUME in place, so the
+   running animation picks changes up on the next frame.
+   ======================================================= */
+const PlumeTuningPanel = ({ onChange }) => {
+  const [open, setOpen] = React.useState(false);
+  const [messages, setMessages] = React.useState([]);
+  const fileInputRef = React.useRef(null);
+
+  const set = (key, value) => {
+    PLUME[key] = value;
+    onChange();
+  };
+
+  const applyPreset = (name) => {
+    applyPlumeOverrides(PLUME_PRESETS[name]);
+    setMessages([]);
+    onChange();
+  };
+
+  const exportSettings = () => downloadBlob(
+    new Blob([JSON.stringify(exportPlumeSettings(PLUME), null, 2)], { type: "application/json" }),
+    "plume-settings.json"
+  );
+
+  const importSettings = async (file) => {
+    try {
+      const { settings, errors } = parsePlumeSettings(JSON.parse(await readFileText(file)));
+      Object.assign(PLUME, settings);
+      setMessages(errors);
+      onChange();
+    } catch (err) {
+      setMessages([`Could not read ${file.name}: ${err.message}`]);
+    } finally {
+      fileInputRef.current.value = "";
+    }
+  };
+
+  return (
+    <div className={`tuning-panel ${open ? "open" : ""}`}>
+      <button className="tuning-header" onClick={() => setOpen(v => !v)}>
+        ⚙ Plume Settings <span>{open ? "▴" : "▾"}</span>
+      </button>
+
+      {open && (
+        <div className="tuning-body">
+          <div className="tuning-presets">
+            {Object.keys(PLUME_PRESETS).map(name => (
+              <button key={name} className="btn-control" onClick={() => applyPreset(name)}>
+                {name}
+              </button>
+            ))}
+          </div>
+
+          {PLUME_TUNING_FIELDS.map(({ key, label, min, max, step }) => (
+            <label key={key} className="tuning-row">
+              <span className="tuning-label">{label}</span>
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={PLUME[key]}
+                onChange={(e) => set(key, Number(e.target.value))}
+              />
+              <span className="tuning-value">{+Number(PLUME[key]).toPrecision(3)}</span>
+            </label>
+          ))}
+
+          {PLUME_COLOR_FIELDS.map(({ key, label }) => (
+            <label key={key} className="tuning-row">
+              <span className="tuning-label">{label}</span>
+              <input
+                type="color"
+                value={`#${rgbToHex(PLUME[key])}`}
+                onChange={(e) => set(key, hexToRgb(e.target.value))}
+              />
+            </label>
+          ))}
+
+          <div className="tuning-actions">
+            <button className="btn-control" onClick={exportSettings}>Export JSON</button>
+            <label className="btn-control file-button">
+              Import JSON
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={(e) => e.target.files[0] && importSettings(e.target.files[0])}
+              />
+            </label>
+          </div>
+
+          {messages.length > 0 && (
+            <ul className="data-errors">
+              {messages.map(m => <li key={m}>{m}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
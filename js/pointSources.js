@@ -0,0 +1,188 @@
+/* =======================================================
+   POINT SOURCES
+   Emission sites (stacks, plants, highway segments) loaded
+   from JSON/GeoJSON/CSV, same formats as monitors. Each has
+   its own emission rate, pollutant and schedule, and emits
+   particles through the same engine as the monitors.
+   ======================================================= */
+const POINT_SOURCE_DEFAULTS = {
+  fileUrl: "data/sources.json",
+  emissionRate: 10,       // g/s when a record doesn't say
+  pollutant: "pm25",
+  referenceRate: 50,      // g/s that spawns at the full PLUME.spawnPerSec
+  upwindMaxKm: 15,        // "upwind" report: how far to look
+  upwindHalfAngle: 30     // ... and how far off the wind axis (degrees)
+};
+
+const POINT_SOURCE_TYPES = ["stack", "industrial", "refinery", "highway", "point"];
+
+/**
+ * Optional schedule: { days: [0–6, Sunday = 0], startHour, endHour }
+ * (end exclusive, may wrap past midnight). Optional `profile`: 24
+ * hourly multipliers applied on top of the schedule.
+ */
+function validateSchedule(raw, messages) {
+  if (raw === undefined || raw === null || raw === "") return null;
+  if (typeof raw !== "object") {
+    messages.push("schedule must be an object like { days, startHour, endHour }");
+    return null;
+  }
+  const schedule = {};
+  if (raw.days !== undefined) {
+    if (!Array.isArray(raw.days) || raw.days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      messages.push("schedule.days must be an array of weekday numbers 0–6");
+    } else {
+      schedule.days = raw.days;
+    }
+  }
+  for (const k of ["startHour", "endHour"]) {
+    if (raw[k] === undefined) continue;
+    const h = toNumber(raw[k]);
+    if (h === undefined || Number.isNaN(h) || h < 0 || h > 24) {
+      messages.push(`schedule.${k} must be an hour 0–24 (got ${JSON.stringify(raw[k])})`);
+    } else {
+      schedule[k] = h;
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Validate raw point-source records; same { errors } row shape as
+ * validateMonitorRecords so the data panel can list them.
+ */
+function validatePointSourceRecords(records) {
+  const sources = [];
+  const errors = [];
+  const seenIds = new Set();
+
+  records.forEach((raw, i) => {
+    const label = (raw && raw.name) || `row ${i + 1}`;
+    const messages = [];
+    const lat = toNumber(raw && raw.lat);
+    const lon = toNumber(raw && raw.lon);
+    if (lat === undefined || Number.isNaN(lat) || lat < -90 || lat > 90) {
+      messages.push(`lat must be a number between -90 and 90 (got ${JSON.stringify(raw && raw.lat)})`);
+    }
+    if (lon === undefined || Number.isNaN(lon) || lon < -180 || lon > 180) {
+      messages.push(`lon must be a number between -180 and 180 (got ${JSON.stringify(raw && raw.lon)})`);
+    }
+
+    const emissionRate = toNumber(raw && raw.emissionRate);
+    if (emissionRate !== undefined && (Number.isNaN(emissionRate) || emissionRate < 0)) {
+      messages.push(`emissionRate must be a non-negative number in g/s (got ${JSON.stringify(raw.emissionRate)})`);
+    }
+    const pollutant = raw && raw.pollutant ? String(raw.pollutant).toLowerCase() : POINT_SOURCE_DEFAULTS.pollutant;
+    if (!POLLUTANT_KEYS.includes(PARAMETER_ALIASES[pollutant] || pollutant)) {
+      messages.push(`pollutant must be one of ${POLLUTANT_KEYS.join(", ")} (got ${JSON.stringify(raw.pollutant)})`);
+    }
+    const schedule = validateSchedule(raw && raw.schedule, messages);
+    const profile = raw && raw.profile;
+    if (profile !== undefined && (!Array.isArray(profile) || profile.length !== 24 ||
+        profile.some(v => !Number.isFinite(v) || v < 0))) {
+      messages.push("profile must be 24 non-negative hourly multipliers");
+    }
+
+    if (messages.length) {
+      errors.push({ row: i + 1, label, messages });
+      return;
+    }
+    const id = raw.id !== undefined && raw.id !== "" ? raw.id : `src-${i + 1}`;
+    if (seenIds.has(String(id))) {
+      errors.push({ row: i + 1, label, messages: [`duplicate id ${id}`] });
+      return;
+    }
+    seenIds.add(String(id));
+    sources.push({
+      id,
+      name: raw.name ? String(raw.name) : `Source ${i + 1}`,
+      type: raw.type ? String(raw.type) : "point",
+      lat, lon,
+      emissionRate: emissionRate !== undefined ? emissionRate : POINT_SOURCE_DEFAULTS.emissionRate,
+      pollutant: PARAMETER_ALIASES[pollutant] || pollutant,
+      schedule,
+      profile: profile || null
+    });
+  });
+
+  return { sources, errors };
+}
+
+/**
+ * Load point sources from { kind: "file", url } or { kind: "upload", file }.
+ * Resolves to { sources, errors }.
+ */
+async function loadPointSources(source) {
+  let records;
+  if (source.kind === "upload") {
+    const text = await readFileText(source.file);
+    records = /\.csv$/i.test(source.file.name)
+      ? recordsFromCSV(text)
+      : recordsFromJSON(JSON.parse(text));
+  } else {
+    records = recordsFromJSON(await fetchJSON(source.url || POINT_SOURCE_DEFAULTS.fileUrl));
+  }
+  return validatePointSourceRecords(records);
+}
+
+/* ---------------------------------------
+   Emissions over time
+   --------------------------------------- */
+
+/** Schedule/profile multiplier at time t (epoch ms; null = now). */
+function emissionFactorAt(source, t) {
+  const d = new Date(t === null || t === undefined ? Date.now() : t);
+  const hour = d.getHours();
+  const s = source.schedule;
+  if (s) {
+    if (s.days && !s.days.includes(d.getDay())) return 0;
+    const start = s.startHour !== undefined ? s.startHour : 0;
+    const end = s.endHour !== undefined ? s.endHour : 24;
+    const on = start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+    if (!on) return 0;
+  }
+  return source.profile ? source.profile[hour] : 1;
+}
+
+/** Emission rate (g/s) at time t. */
+const emissionAt = (source, t) => source.emissionRate * emissionFactorAt(source, t);
+
+/** A new source dropped on the map, with the default attributes. */
+function createPointSource(lat, lon, n) {
+  return {
+    id: `user-${Date.now().toString(36)}-${n}`,
+    name: `New source ${n}`,
+    type: "stack",
+    lat, lon,
+    emissionRate: POINT_SOURCE_DEFAULTS.emissionRate,
+    pollutant: POINT_SOURCE_DEFAULTS.pollutant,
+    schedule: null,
+    profile: null
+  };
+}
+
+/**
+ * Sources emitting at time t that lie upwind of a monitor reading:
+ * within `upwindMaxKm` and within `upwindHalfAngle` of the direction the
+ * wind is coming from. Nearest first, with distance and angle off-axis.
+ */
+function upwindSources(reading, sources, t, options = {}) {
+  const opts = { ...POINT_SOURCE_DEFAULTS, ...options };
+  const wind = windVector(1, reading.windDirection);
+  const kx = (M_PER_DEG_LAT * Math.cos((reading.lat * Math.PI) / 180)) / 1000;
+  const ky = M_PER_DEG_LAT / 1000;
+
+  return sources
+    .filter(src => emissionAt(src, t) > 0)
+    .map((src) => {
+      // vector source -> monitor, compared to where the wind blows
+      const dx = (reading.lon - src.lon) * kx;
+      const dy = (reading.lat - src.lat) * ky;
+      const distanceKm = Math.hypot(dx, dy);
+      const cos = distanceKm ? (dx * wind.u + dy * wind.v) / distanceKm : 1;
+      const offAxis = (Math.acos(clamp(cos, -1, 1)) * 180) / Math.PI;
+      return { source: src, distanceKm, offAxis };
+    })
+    .filter(c => c.distanceKm <= opts.upwindMaxKm && c.offAxis <= opts.upwindHalfAngle)
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
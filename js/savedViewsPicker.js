@@ -0,0 +1,78 @@
+/* =======================================================
+   SAVED VIEWS PICKER
+   Named snapshots of the view state, kept in localStorage,
+   plus a button to copy the shareable link.
+   ======================================================= */
+const SavedViewsPicker = ({ getState, onApply }) => {
+  const [views, setViews] = React.useState(loadSavedViews);
+  const [selected, setSelected] = React.useState("");
+  const [name, setName] = React.useState("");
+  const [copied, setCopied] = React.useState(false);
+  const [error, setError] = React.useState("");
+
+  const pick = (viewName) => {
+    setSelected(viewName);
+    const view = views.find(v => v.name === viewName);
+    if (view) onApply(view.state);
+  };
+
+  const save = () => {
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    try {
+      setViews(saveView(trimmed, getState()));
+      setSelected(trimmed);
+      setName("");
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const remove = () => {
+    try {
+      setViews(deleteSavedView(selected));
+      setSelected("");
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      window.prompt("Copy this link:", window.location.href);
+    }
+  };
+
+  return (
+    <div className="saved-views">
+      <select
+        className="control-select"
+        value={selected}
+        onChange={(e) => pick(e.target.value)}
+        title="Switch to a saved view"
+      >
+        <option value="">Saved views…</option>
+        {views.map(v => <option key={v.name} value={v.name}>{v.name}</option>)}
+      </select>
+      {selected && (
+        <button className="btn-control" onClick={remove} title={`Delete "${selected}"`}>🗑</button>
+      )}
+      <input
+        className="data-source-input saved-views-name"
+        value={name}
+        onChange={(e) => setName(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && save()}
+        placeholder="Name this view"
+      />
+      <button className="btn-control" onClick={save} disabled={!name.trim()}>Save View</button>
+      <button className="btn-control" onClick={copyLink}>{copied ? "✓ Copied" : "Copy Link"}</button>
+      {error && <span className="control-error">{error}</span>}
+    </div>
+  );
+};
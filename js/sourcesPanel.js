@@ -0,0 +1,118 @@
+/* =======================================================
+   SOURCES PANEL
+   Lists emission sources with editable rate, pollutant and
+   hours; loads more from a file or places them on the map.
+   ======================================================= */
+const SourcesPanel = ({
+  sources, status, placing, animate,
+  onLoad, onUpdate, onRemove, onTogglePlacing, onToggleAnimate
+}) => {
+  const setHours = (src, key, value) => {
+    const schedule = { ...(src.schedule || {}) };
+    if (value === "") delete schedule[key];
+    else schedule[key] = clamp(Number(value), 0, 24);
+    onUpdate(src.id, { schedule: Object.keys(schedule).length ? schedule : null });
+  };
+
+  return (
+    <div className="sources-panel">
+      <div className="data-source-row">
+        <button
+          className={`btn-control ${placing ? "active" : ""}`}
+          onClick={onTogglePlacing}
+          title="Click the map to drop a new source"
+        >
+          {placing ? "Click the map…" : "+ Place on Map"}
+        </button>
+        <label className="btn-control file-button" title="Load point sources (JSON, GeoJSON or CSV)">
+          {status.loading ? "Loading…" : "Load File…"}
+          <input
+            type="file"
+            accept=".csv,.json,.geojson"
+            onChange={(e) => e.target.files[0] && onLoad({ kind: "upload", file: e.target.files[0] })}
+          />
+        </label>
+        <label className="timeline-loop">
+          <input type="checkbox" checked={animate} onChange={onToggleAnimate} />
+          Animate source plumes
+        </label>
+        {status.error && <span className="data-source-status error">{status.error}</span>}
+      </div>
+
+      {status.errors && status.errors.length > 0 && (
+        <RowErrorList errors={status.errors} />
+      )}
+
+      <table className="sources-table">
+        <thead>
+          <tr>
+            <th>Name</th><th>Type</th><th>Pollutant</th><th>Rate (g/s)</th>
+            <th title="Operating hours, local time (blank = always)">Hours</th><th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {sources.map((src) => (
+            <tr key={src.id}>
+              <td>
+                <input
+                  className="sources-input"
+                  value={src.name}
+                  onChange={(e) => onUpdate(src.id, { name: e.target.value })}
+                />
+              </td>
+              <td>
+                <select
+                  className="sources-input"
+                  value={src.type}
+                  onChange={(e) => onUpdate(src.id, { type: e.target.value })}
+                >
+                  {[...new Set([...POINT_SOURCE_TYPES, src.type])].map(t => (
+                    <option key={t} value={t}>{t}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <select
+                  className="sources-input"
+                  value={src.pollutant}
+                  onChange={(e) => onUpdate(src.id, { pollutant: e.target.value })}
+                >
+                  {POLLUTANT_KEYS.map(k => (
+                    <option key={k} value={k}>{POLLUTANTS[k].label}</option>
+                  ))}
+                </select>
+              </td>
+              <td>
+                <input
+                  className="sources-input sources-number"
+                  type="number"
+                  min="0"
+                  value={src.emissionRate}
+                  onChange={(e) => onUpdate(src.id, { emissionRate: Math.max(0, Number(e.target.value) || 0) })}
+                />
+              </td>
+              <td className="sources-hours">
+                <input
+                  className="sources-input sources-hour"
+                  type="number" min="0" max="24" placeholder="0"
+                  value={src.schedule && src.schedule.startHour !== undefined ? src.schedule.startHour : ""}
+                  onChange={(e) => setHours(src, "startHour", e.target.value)}
+                />
+                –
+                <input
+                  className="sources-input sources-hour"
+                  type="number" min="0" max="24" placeholder="24"
+                  value={src.schedule && src.schedule.endHour !== undefined ? src.schedule.endHour : ""}
+                  onChange={(e) => setHours(src, "endHour", e.target.value)}
+                />
+              </td>
+              <td>
+                <button className="close-btn" onClick={() => onRemove(src.id)} title="Remove source">✕</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
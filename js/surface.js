@@ -0,0 +1,161 @@
+/* =======================================================
+   SURFACE LAYERS
+   Obstacles and land use for the particle model: building
+   footprints, water and roughness polygons from GeoJSON,
+   rasterised to a lat/lon class grid the simulation samples
+   (in the worker or on the main thread).
+   ======================================================= */
+const SURFACE_DEFAULTS = {
+  fileUrl: "data/surface.geojson",
+  cellDeg: 0.0005,               // ~50 m, fine enough for downtown blocks
+  maxCells: 4000000,             // coarser cells beyond this
+  obstacleMinHeightM: 15         // shorter buildings only add roughness
+};
+
+/**
+ * Classes in rasterising order, later ones winning where polygons
+ * overlap. `speed` scales particle speed, `spread` their sideways
+ * wander; `blocked` cells deflect particles. Index 0 is the default.
+ */
+const SURFACE_CLASSES = [
+  { key: "open",     label: "Open ground",          color: "#65a30d", speed: 1,    spread: 1 },
+  { key: "park",     label: "Parks / trees",        color: "#16a34a", speed: 0.85, spread: 1.3 },
+  { key: "suburban", label: "Low-rise",             color: "#a8a29e", speed: 0.85, spread: 1.3 },
+  { key: "urban",    label: "Dense urban",          color: "#f59e0b", speed: 0.7,  spread: 1.6 },
+  { key: "water",    label: "Water",                color: "#38bdf8", speed: 1.2,  spread: 0.6 },
+  { key: "building", label: "Building (obstacle)",  color: "#ef4444", speed: 1,    spread: 1, blocked: true }
+];
+
+const SURFACE_CLASS_INDEX = Object.fromEntries(SURFACE_CLASSES.map((c, i) => [c.key, i]));
+
+const PARK_TAGS = ["park", "grass", "recreation_ground", "wood", "forest", "meadow", "golf_course", "cemetery"];
+const URBAN_TAGS = ["commercial", "retail", "industrial"];
+
+/**
+ * Class key for a feature's properties: an explicit `surface`, else
+ * OSM-style tags (building, natural=water, landuse, leisure), else null.
+ */
+function surfaceClassOf(props) {
+  const explicit = String(props.surface || "").toLowerCase();
+  if (SURFACE_CLASS_INDEX[explicit] !== undefined) return explicit;
+  if (props.building && props.building !== "no") {
+    const height = Number(props.height);
+    return Number.isFinite(height) && height < SURFACE_DEFAULTS.obstacleMinHeightM ? "urban" : "building";
+  }
+  if (props.natural === "water" || props.waterway || props.water) return "water";
+  const tag = String(props.landuse || props.leisure || props.natural || "").toLowerCase();
+  if (PARK_TAGS.includes(tag)) return "park";
+  if (tag === "residential") return "suburban";
+  if (URBAN_TAGS.includes(tag)) return "urban";
+  return null;
+}
+
+/**
+ * Classified polygons from a FeatureCollection:
+ * { layers: [{ cls, polygons, feature }], skipped }.
+ */
+function surfaceLayersFromGeoJSON(json) {
+  if (!json || json.type !== "FeatureCollection" || !Array.isArray(json.features)) {
+    throw new Error("Expected a GeoJSON FeatureCollection of polygons");
+  }
+  const layers = [];
+  let skipped = 0;
+  for (const f of json.features) {
+    const g = f && f.geometry;
+    const polygons = !g ? null : g.type === "Polygon" ? [g.coordinates] : g.type === "MultiPolygon" ? g.coordinates : null;
+    const cls = polygons && surfaceClassOf(f.properties || {});
+    if (!cls) {
+      skipped++;
+      continue;
+    }
+    layers.push({ cls, polygons, feature: f });
+  }
+  if (!layers.length) throw new Error("No building, water or land-use polygons found");
+  return { layers, skipped };
+}
+
+/** { kind: "file", url } or { kind: "upload", file } -> { layers, skipped } */
+async function loadSurfaceLayers(source) {
+  const json = source.kind === "upload"
+    ? JSON.parse(await readFileText(source.file))
+    : await fetchJSON(source.url || SURFACE_DEFAULTS.fileUrl);
+  return surfaceLayersFromGeoJSON(json);
+}
+
+/**
+ * Rasterise layers to { south, west, cellDeg, cols, rows, cells, classes }
+ * where cells holds a SURFACE_CLASSES index per cell and classes the
+ * per-class effects (plain data, so it can be posted to the worker).
+ */
+function buildSurfaceGrid(layers, cellDeg = SURFACE_DEFAULTS.cellDeg) {
+  let south = Infinity, west = Infinity, north = -Infinity, east = -Infinity;
+  for (const { polygons } of layers) {
+    for (const poly of polygons) {
+      for (const [lon, lat] of poly[0]) {
+        south = Math.min(south, lat); north = Math.max(north, lat);
+        west = Math.min(west, lon); east = Math.max(east, lon);
+      }
+    }
+  }
+  while (((east - west) / cellDeg) * ((north - south) / cellDeg) > SURFACE_DEFAULTS.maxCells) cellDeg *= 2;
+  const cols = Math.max(1, Math.ceil((east - west) / cellDeg));
+  const rows = Math.max(1, Math.ceil((north - south) / cellDeg));
+  const cells = new Uint8Array(cols * rows);
+
+  const ordered = [...layers].sort((a, b) => SURFACE_CLASS_INDEX[a.cls] - SURFACE_CLASS_INDEX[b.cls]);
+  for (const { cls, polygons } of ordered) {
+    const value = SURFACE_CLASS_INDEX[cls];
+    for (const poly of polygons) {
+      const lons = poly[0].map(p => p[0]);
+      const lats = poly[0].map(p => p[1]);
+      const c0 = Math.max(0, Math.floor((Math.min(...lons) - west) / cellDeg));
+      const c1 = Math.min(cols - 1, Math.floor((Math.max(...lons) - west) / cellDeg));
+      const r0 = Math.max(0, Math.floor((Math.min(...lats) - south) / cellDeg));
+      const r1 = Math.min(rows - 1, Math.floor((Math.max(...lats) - south) / cellDeg));
+      let hit = false;
+      for (let r = r0; r <= r1; r++) {
+        const lat = south + (r + 0.5) * cellDeg;
+        for (let c = c0; c <= c1; c++) {
+          if (!pointInPolygon(west + (c + 0.5) * cellDeg, lat, poly)) continue;
+          cells[r * cols + c] = value;
+          hit = true;
+        }
+      }
+      // footprints smaller than a cell still claim the cell they sit in
+      if (!hit) {
+        const r = Math.min(rows - 1, Math.floor((lats[0] - south) / cellDeg));
+        const c = Math.min(cols - 1, Math.floor((lons[0] - west) / cellDeg));
+        cells[r * cols + c] = value;
+      }
+    }
+  }
+  const classes = SURFACE_CLASSES.map(({ speed, spread, blocked }) => ({ speed, spread, blocked: !!blocked }));
+  return { south, west, cellDeg, cols, rows, cells, classes };
+}
+
+/** Cells per class, for the panel's summary. */
+function surfaceCoverage(grid) {
+  const counts = new Array(SURFACE_CLASSES.length).fill(0);
+  for (const v of grid.cells) counts[v]++;
+  return counts;
+}
+
+/* ---------------------------------------
+   Overlay
+   --------------------------------------- */
+const SURFACE_PANE = "surfacePane";
+const SURFACE_PANE_Z = 340;
+
+/** The polygons being applied, coloured by class. */
+function surfaceLayer(layers) {
+  const group = L.layerGroup();
+  for (const { cls, feature } of layers) {
+    const c = SURFACE_CLASSES[SURFACE_CLASS_INDEX[cls]];
+    L.geoJSON(feature, {
+      pane: SURFACE_PANE,
+      interactive: false,
+      style: { color: c.color, weight: cls === "building" ? 1 : 0.5, fillColor: c.color, fillOpacity: cls === "building" ? 0.6 : 0.2 }
+    }).addTo(group);
+  }
+  return group;
+}
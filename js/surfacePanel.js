@@ -0,0 +1,66 @@
+/* =======================================================
+   SURFACE PANEL
+   Loads building / water / land-use polygons, switches their
+   effect on the particle plumes and the map overlay, and
+   shows how much of the grid each surface class covers.
+   ======================================================= */
+const SurfacePanel = ({ status, surface, applied, showOverlay, onLoad, onToggleApplied, onToggleOverlay }) => {
+  const total = surface ? surface.grid.cells.length : 0;
+
+  return (
+    <div className="sources-panel surface-panel">
+      <div className="data-source-row">
+        <button
+          className="btn-control"
+          onClick={() => onLoad({ kind: "file", url: SURFACE_DEFAULTS.fileUrl })}
+          disabled={status.loading}
+          title={SURFACE_DEFAULTS.fileUrl}
+        >
+          {status.loading ? "Loading…" : "Load Default Layers"}
+        </button>
+        <label className="btn-control file-button" title="Load building footprints, water or land-use polygons (GeoJSON)">
+          Load File…
+          <input
+            type="file"
+            accept=".json,.geojson"
+            onChange={(e) => e.target.files[0] && onLoad({ kind: "upload", file: e.target.files[0] })}
+          />
+        </label>
+        {surface && (
+          <>
+            <label className="timeline-loop" title="Deflect, slow and spread particles by surface class">
+              <input type="checkbox" checked={applied} onChange={onToggleApplied} />
+              Apply to plumes
+            </label>
+            <label className="timeline-loop">
+              <input type="checkbox" checked={showOverlay} onChange={onToggleOverlay} />
+              Show overlay
+            </label>
+          </>
+        )}
+        <span className={`data-source-status ${status.error ? "error" : ""}`}>
+          {status.error
+            ? status.error
+            : surface && `${surface.layers.length} polygons` +
+              (surface.skipped ? ` (${surface.skipped} skipped)` : "") +
+              ` · ${surface.grid.cols}×${surface.grid.rows} cells`}
+        </span>
+      </div>
+
+      {surface && (
+        <ul className="surface-legend">
+          {SURFACE_CLASSES.map((c, i) => (
+            <li key={c.key}>
+              <span className="surface-swatch" style={{ background: c.color }} />
+              <span>{c.label}</span>
+              <span className="surface-effect">
+                {c.blocked ? "deflects" : `speed ×${c.speed} · spread ×${c.spread}`}
+              </span>
+              <span className="surface-share">{((surface.coverage[i] / total) * 100).toFixed(1)}%</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,70 @@
+/* =======================================================
+   TIME SERIES
+   Samples a monitor's hourly history at an arbitrary time so
+   playback can drive the plume and the sidebar.
+   ======================================================= */
+const HOUR_MS = 3600 * 1000;
+
+// Playback speeds, in simulated hours per real second
+const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+
+/** Earliest/latest history time across all monitors, or null without history. */
+function getTimeRange(monitors) {
+  let start = Infinity;
+  let end = -Infinity;
+  for (const m of monitors) {
+    if (!m.history || !m.history.length) continue;
+    start = Math.min(start, m.history[0].time);
+    end = Math.max(end, m.history[m.history.length - 1].time);
+  }
+  return Number.isFinite(start) ? { start, end } : null;
+}
+
+const lerp = (a, b, f) => a + (b - a) * f;
+
+// Interpolate compass degrees along the shorter arc
+const lerpAngle = (a, b, f) => {
+  const d = ((b - a + 540) % 360) - 180;
+  return (a + d * f + 360) % 360;
+};
+
+/**
+ * Monitor readings at time `t` (epoch ms): linear between the bracketing
+ * hours, wind direction along the shorter arc, clamped to the ends of the
+ * record. Fields a history entry lacks fall back to the snapshot values;
+ * null ones (readings excluded by QA) stay null, and the hour's QA flag
+ * carries over. Without history (or without `t`) the snapshot itself is returned.
+ */
+function readingAt(monitor, t) {
+  const h = monitor.history;
+  if (!h || !h.length || t === null || t === undefined) return monitor;
+
+  let i = 0;
+  while (i < h.length - 1 && h[i + 1].time <= t) i++;
+  const a = h[i];
+  const b = h[Math.min(i + 1, h.length - 1)];
+  const f = b.time > a.time ? clamp((t - a.time) / (b.time - a.time), 0, 1) : 0;
+
+  const reading = { ...monitor, time: t };
+  for (const k of HISTORY_KEYS) {
+    const va = a[k] !== undefined ? a[k] : monitor[k];
+    const vb = b[k] !== undefined && b[k] !== null ? b[k] : va;
+    if (va === null) reading[k] = null;
+    if (va === undefined || va === null) continue;
+    reading[k] = k === "windDirection" ? lerpAngle(va, vb, f) : lerp(va, vb, f);
+  }
+  if (a.qa) reading.qa = a.qa;
+  return reading;
+}
+
+const formatTimelineTime = (t) =>
+  new Date(t).toLocaleString(undefined, {
+    month: "short", day: "numeric", hour: "2-digit", minute: "2-digit"
+  });
+
+// <input type="datetime-local"> wants local "YYYY-MM-DDTHH:mm"
+const toLocalInputValue = (t) => {
+  const d = new Date(t);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}`;
+};
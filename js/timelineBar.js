@@ -0,0 +1,110 @@
+/* =======================================================
+   TIMELINE BAR
+   Play/pause, scrubber, playback speed and loop range.
+   ======================================================= */
+const TimelineBar = ({ range, time, onTimeChange }) => {
+  const [playing, setPlaying] = React.useState(false);
+  const [speed, setSpeed] = React.useState(1);
+  const [loop, setLoop] = React.useState(true);
+  const [loopStart, setLoopStart] = React.useState(range.start);
+  const [loopEnd, setLoopEnd] = React.useState(range.end);
+
+  // new data -> reset the loop window to the full record
+  React.useEffect(() => {
+    setLoopStart(range.start);
+    setLoopEnd(range.end);
+    setPlaying(false);
+  }, [range.start, range.end]);
+
+  // advance ~10×/s; the particle frame reads time from a ref so this stays cheap
+  React.useEffect(() => {
+    if (!playing) return;
+    let last = performance.now();
+    const id = setInterval(() => {
+      const now = performance.now();
+      const step = ((now - last) / 1000) * speed * HOUR_MS;
+      last = now;
+      onTimeChange(t => {
+        const next = Math.max(loopStart, (t ?? loopStart) + step);
+        if (next <= loopEnd) return next;
+        return loop ? loopStart : loopEnd;
+      });
+    }, 100);
+    return () => clearInterval(id);
+  }, [playing, speed, loop, loopStart, loopEnd, onTimeChange]);
+
+  // stop at the end of the window when not looping
+  React.useEffect(() => {
+    if (playing && !loop && time >= loopEnd) setPlaying(false);
+  }, [playing, loop, time, loopEnd]);
+
+  const togglePlay = () => {
+    if (!playing && !loop && time >= loopEnd) onTimeChange(loopStart);
+    setPlaying(p => !p);
+  };
+
+  // keep start <= end inside the loaded record
+  const setWindowEdge = (edge, value) => {
+    const t = new Date(value).getTime();
+    if (!Number.isFinite(t)) return;
+    if (edge === "start") setLoopStart(clamp(t, range.start, loopEnd));
+    else setLoopEnd(clamp(t, loopStart, range.end));
+  };
+
+  return (
+    <div className="timeline">
+      <button
+        className="btn-control timeline-play"
+        onClick={togglePlay}
+        title={playing ? "Pause" : "Play"}
+      >
+        {playing ? "❚❚" : "▶"}
+      </button>
+
+      <div className="timeline-track">
+        <input
+          type="range"
+          className="timeline-slider"
+          min={range.start}
+          max={range.end}
+          step={HOUR_MS / 12}
+          value={time ?? range.end}
+          onChange={(e) => onTimeChange(Number(e.target.value))}
+        />
+        <div className="timeline-labels">
+          <span>{formatTimelineTime(range.start)}</span>
+          <span className="timeline-current">{formatTimelineTime(time ?? range.end)}</span>
+          <span>{formatTimelineTime(range.end)}</span>
+        </div>
+      </div>
+
+      <select
+        className="timeline-select"
+        value={speed}
+        onChange={(e) => setSpeed(Number(e.target.value))}
+        title="Playback speed (simulated hours per second)"
+      >
+        {PLAYBACK_SPEEDS.map(s => <option key={s} value={s}>{s} h/s</option>)}
+      </select>
+
+      <label className="timeline-loop">
+        <input type="checkbox" checked={loop} onChange={(e) => setLoop(e.target.checked)} />
+        Loop
+      </label>
+      <input
+        type="datetime-local"
+        className="timeline-date"
+        value={toLocalInputValue(loopStart)}
+        onChange={(e) => setWindowEdge("start", e.target.value)}
+        title="Playback window start"
+      />
+      <input
+        type="datetime-local"
+        className="timeline-date"
+        value={toLocalInputValue(loopEnd)}
+        onChange={(e) => setWindowEdge("end", e.target.value)}
+        title="Playback window end"
+      />
+    </div>
+  );
+};
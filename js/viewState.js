@@ -0,0 +1,136 @@
+/* =======================================================
+   VIEW STATE
+   Serializes what's on screen (selection, tracking mode,
+   visualization, viewport, plume tuning) into the URL hash,
+   and keeps named saved views in localStorage.
+
+   Hash format (all keys optional):
+     #m=2&all=1&cmp=1,3&viz=heatmap&pol=no2&c=42.3314,-83.0458&z=12
+      &p=spreadAngleMult:8,fadeAmount:0.05,color:ef4444
+   ======================================================= */
+const SAVED_VIEWS_KEY = "aqiTracker.savedViews";
+const PALETTE_KEY = "aqiTracker.palette";
+const VISUALIZATION_TYPES = ["particles", "heatmap"];
+
+// PLUME values that can travel in a link: the tunable ones (colours as hex)
+const PLUME_URL_KEYS = PLUME_TUNING_KEYS;
+const PLUME_URL_COLOR_KEYS = PLUME_COLOR_FIELDS.map(f => f.key);
+
+const rgbToHex = ({ r, g, b }) =>
+  [r, g, b].map(v => Math.round(v).toString(16).padStart(2, "0")).join("");
+
+const hexToRgb = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+  if (!m) return null;
+  const n = parseInt(m[1], 16);
+  return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+};
+
+/**
+ * View state -> hash string (without "#").
+ * state: { monitorId, showAll, compare: [ids], visualization, pollutant,
+ *          center: [lat, lon], zoom, plume }
+ * where `plume` holds only the PLUME values that differ from the defaults.
+ */
+function serializeViewState(state) {
+  const params = new URLSearchParams();
+  if (state.monitorId !== null && state.monitorId !== undefined) params.set("m", state.monitorId);
+  if (state.showAll) params.set("all", "1");
+  if (state.compare && state.compare.length) params.set("cmp", state.compare.join(","));
+  if (state.visualization && state.visualization !== "particles") params.set("viz", state.visualization);
+  if (state.pollutant && state.pollutant !== "pm25") params.set("pol", state.pollutant);
+  if (state.center) params.set("c", state.center.map(v => v.toFixed(4)).join(","));
+  if (state.zoom !== undefined) params.set("z", String(state.zoom));
+
+  const plume = Object.entries(state.plume || {})
+    .filter(([k]) => PLUME_URL_KEYS.includes(k))
+    .map(([k, v]) => `${k}:${PLUME_URL_COLOR_KEYS.includes(k) ? rgbToHex(v) : +Number(v).toPrecision(4)}`);
+  if (plume.length) params.set("p", plume.join(","));
+
+  // keep commas and colons readable in the address bar
+  return params.toString().replace(/%2C/g, ",").replace(/%3A/g, ":");
+}
+
+/**
+ * Hash string -> partial view state. Unknown or malformed values are
+ * dropped rather than throwing, so a mangled link still opens the app.
+ */
+function parseViewState(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const state = {};
+
+  if (params.has("m")) state.monitorId = params.get("m");
+  if (params.has("all")) state.showAll = params.get("all") === "1";
+  if (params.get("cmp")) state.compare = params.get("cmp").split(",").filter(Boolean);
+  if (VISUALIZATION_TYPES.includes(params.get("viz"))) state.visualization = params.get("viz");
+  if (!params.has("viz") && params.toString()) state.visualization = "particles";
+  if (POLLUTANTS[params.get("pol")]) state.pollutant = params.get("pol");
+
+  const c = (params.get("c") || "").split(",").map(Number);
+  if (c.length === 2 && Math.abs(c[0]) <= 90 && Math.abs(c[1]) <= 180 && c.every(Number.isFinite)) {
+    state.center = c;
+  }
+  const z = Number(params.get("z"));
+  if (params.has("z") && Number.isFinite(z) && z >= 0 && z <= 20) state.zoom = z;
+
+  // same ranges as a tuning import; out-of-range values are dropped
+  if (params.has("p")) {
+    const raw = {};
+    for (const pair of params.get("p").split(",")) {
+      const [k, v] = pair.split(":");
+      if (!PLUME_URL_KEYS.includes(k)) continue;
+      raw[k] = PLUME_URL_COLOR_KEYS.includes(k) ? v : Number(v);
+    }
+    state.plume = parsePlumeSettings(raw).settings;
+  }
+  return state;
+}
+
+/* ---------------------------------------
+   Saved views (localStorage)
+   --------------------------------------- */
+function loadSavedViews() {
+  try {
+    const views = JSON.parse(localStorage.getItem(SAVED_VIEWS_KEY) || "[]");
+    return Array.isArray(views) ? views.filter(v => v && v.name && v.state) : [];
+  } catch {
+    return [];
+  }
+}
+
+/** Throws a readable error when storage is full or blocked (e.g. private mode). */
+function storeSavedViews(views) {
+  try {
+    localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+  } catch (err) {
+    throw new Error(`Views could not be saved in this browser (${err.message})`);
+  }
+  return views;
+}
+
+/** Add or replace the view called `name`; returns the updated list. */
+const saveView = (name, state) =>
+  storeSavedViews([...loadSavedViews().filter(v => v.name !== name), { name, state }]);
+
+const deleteSavedView = (name) =>
+  storeSavedViews(loadSavedViews().filter(v => v.name !== name));
+
+/* ---------------------------------------
+   Display preferences (localStorage)
+   --------------------------------------- */
+const loadPalettePreference = () => {
+  try {
+    return localStorage.getItem(PALETTE_KEY) || "standard";
+  } catch {
+    return "standard";
+  }
+};
+
+// a preference that can't be stored just doesn't outlive the page
+const storePalettePreference = (name) => {
+  try {
+    localStorage.setItem(PALETTE_KEY, name);
+  } catch {
+    // ignore
+  }
+};
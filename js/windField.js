@@ -0,0 +1,172 @@
+/* =======================================================
+   WIND FIELD
+   Grids the wind across all monitors so particles can sample
+   local wind at their own position instead of their source's.
+
+   Angles follow the particle engine's convention: the wind
+   vector for direction `d` is u = cos(d) (lon), v = sin(d) (lat).
+   ======================================================= */
+const WIND_FIELD = {
+  interpolator: "idw",  // key into WIND_INTERPOLATORS
+  idwPower: 2,          // inverse-distance exponent
+  cols: 40,
+  rows: 40,
+  paddingDeg: 0.15      // grid extends this far past the outermost monitors
+};
+
+/**
+ * Interpolators take the station samples and a point and return { u, v }.
+ * Stations are { lat, lon, u, v }. Add more with registerWindInterpolator.
+ */
+const WIND_INTERPOLATORS = {
+  // Inverse-distance weighting on the vector components
+  idw(stations, lat, lon, { idwPower }) {
+    const cosLat = Math.cos((lat * Math.PI) / 180);
+    let wSum = 0, u = 0, v = 0;
+    for (const s of stations) {
+      const d = Math.hypot(s.lat - lat, (s.lon - lon) * cosLat);
+      if (d < 1e-6) return { u: s.u, v: s.v };
+      const w = 1 / Math.pow(d, idwPower);
+      wSum += w;
+      u += s.u * w;
+      v += s.v * w;
+    }
+    return { u: u / wSum, v: v / wSum };
+  },
+
+  // Wind of the closest station (Voronoi cells)
+  nearest(stations, lat, lon) {
+    const cosLat = Math.cos((lat * Math.PI) / 180);
+    let best = null, bestD = Infinity;
+    for (const s of stations) {
+      const d = Math.hypot(s.lat - lat, (s.lon - lon) * cosLat);
+      if (d < bestD) { bestD = d; best = s; }
+    }
+    return { u: best.u, v: best.v };
+  }
+};
+
+function registerWindInterpolator(name, fn) {
+  WIND_INTERPOLATORS[name] = fn;
+}
+
+const windVector = (speed, directionDeg) => {
+  const a = (directionDeg * Math.PI) / 180;
+  return { u: Math.cos(a) * speed, v: Math.sin(a) * speed };
+};
+
+const windStations = (readings) => readings
+  .filter(r => Number.isFinite(r.windSpeed) && Number.isFinite(r.windDirection))
+  .map(r => ({ lat: r.lat, lon: r.lon, ...windVector(r.windSpeed, r.windDirection) }));
+
+/**
+ * Interpolated wind { u, v } at a single point, without building a grid.
+ * Returns null when no reading carries wind.
+ */
+function interpolateWind(readings, lat, lon, options = {}) {
+  const opts = { ...WIND_FIELD, ...options };
+  const stations = windStations(readings);
+  if (!stations.length) return null;
+  return WIND_INTERPOLATORS[opts.interpolator](stations, lat, lon, opts);
+}
+
+/**
+ * Build a regular lat/lon grid of wind vectors from monitor readings
+ * ({ lat, lon, windSpeed, windDirection }). Returns null without readings.
+ */
+function buildWindField(readings, options = {}) {
+  const opts = { ...WIND_FIELD, ...options };
+  const interpolate = WIND_INTERPOLATORS[opts.interpolator];
+  if (!interpolate) throw new Error(`Unknown wind interpolator "${opts.interpolator}"`);
+
+  const stations = windStations(readings);
+  if (!stations.length) return null;
+
+  const south = Math.min(...stations.map(s => s.lat)) - opts.paddingDeg;
+  const north = Math.max(...stations.map(s => s.lat)) + opts.paddingDeg;
+  const west = Math.min(...stations.map(s => s.lon)) - opts.paddingDeg;
+  const east = Math.max(...stations.map(s => s.lon)) + opts.paddingDeg;
+  const { cols, rows } = opts;
+
+  const u = new Float32Array(cols * rows);
+  const v = new Float32Array(cols * rows);
+  for (let j = 0; j < rows; j++) {
+    const lat = south + ((north - south) * j) / (rows - 1);
+    for (let i = 0; i < cols; i++) {
+      const lon = west + ((east - west) * i) / (cols - 1);
+      const w = interpolate(stations, lat, lon, opts);
+      u[j * cols + i] = w.u;
+      v[j * cols + i] = w.v;
+    }
+  }
+
+  return { south, north, west, east, cols, rows, u, v };
+}
+
+/**
+ * Bilinear sample of the field at lat/lon, clamped to the grid edge.
+ * Returns { u, v, speed, angle } with angle in radians; pass `out` to
+ * fill an existing object instead (hot loops, no allocation).
+ */
+function sampleWindField(field, lat, lon, out = {}) {
+  const { cols, rows } = field;
+  const fx = clamp(((lon - field.west) / (field.east - field.west)) * (cols - 1), 0, cols - 1);
+  const fy = clamp(((lat - field.south) / (field.north - field.south)) * (rows - 1), 0, rows - 1);
+  const i0 = Math.min(Math.floor(fx), cols - 2);
+  const j0 = Math.min(Math.floor(fy), rows - 2);
+  const tx = fx - i0;
+  const ty = fy - j0;
+
+  const k00 = j0 * cols + i0;
+  const k01 = k00 + cols;
+  const w00 = (1 - tx) * (1 - ty);
+  const w10 = tx * (1 - ty);
+  const w01 = (1 - tx) * ty;
+  const w11 = tx * ty;
+  const u = field.u[k00] * w00 + field.u[k00 + 1] * w10 + field.u[k01] * w01 + field.u[k01 + 1] * w11;
+  const v = field.v[k00] * w00 + field.v[k00 + 1] * w10 + field.v[k01] * w01 + field.v[k01 + 1] * w11;
+
+  out.u = u;
+  out.v = v;
+  out.speed = Math.hypot(u, v);
+  out.angle = Math.atan2(v, u);
+  return out;
+}
+
+/**
+ * Debug overlay: one arrow per `stride` grid cells, length by speed.
+ * `project(lat, lon)` maps to canvas pixels ({ x, y }).
+ */
+function drawWindField(ctx, field, project, stride = 2) {
+  let maxSpeed = 0;
+  for (let k = 0; k < field.u.length; k++) {
+    maxSpeed = Math.max(maxSpeed, Math.hypot(field.u[k], field.v[k]));
+  }
+  if (!maxSpeed) return;
+
+  ctx.strokeStyle = "rgba(148, 197, 255, 0.75)";
+  ctx.lineWidth = 1.2;
+  ctx.beginPath();
+  for (let j = 0; j < field.rows; j += stride) {
+    const lat = field.south + ((field.north - field.south) * j) / (field.rows - 1);
+    for (let i = 0; i < field.cols; i += stride) {
+      const lon = field.west + ((field.east - field.west) * i) / (field.cols - 1);
+      const u = field.u[j * field.cols + i];
+      const v = field.v[j * field.cols + i];
+      const len = 6 + 14 * (Math.hypot(u, v) / maxSpeed);
+
+      // screen y grows southward, so flip v
+      const a = Math.atan2(-v, u);
+      const p = project(lat, lon);
+      const tipX = p.x + Math.cos(a) * len;
+      const tipY = p.y + Math.sin(a) * len;
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(tipX, tipY);
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(tipX - Math.cos(a - 0.5) * 4, tipY - Math.sin(a - 0.5) * 4);
+      ctx.moveTo(tipX, tipY);
+      ctx.lineTo(tipX - Math.cos(a + 0.5) * 4, tipY - Math.sin(a + 0.5) * 4);
+    }
+  }
+  ctx.stroke();
+}
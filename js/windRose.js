@@ -0,0 +1,124 @@
+/* =======================================================
+   WIND ROSE
+   Bins a monitor's hourly history by wind direction: a wind
+   rose stacks each sector by wind-speed band, a pollution rose
+   by the concentration's AQI category.
+   ======================================================= */
+const WIND_ROSE = {
+  sectorOptions: [8, 16, 36],
+  sectors: 16,
+  calmMph: 1,             // below this the direction is meaningless
+  percentile: 90,         // the "high" AQI statistic in tooltips
+  // mph upper bounds; the last band is open-ended
+  speedBands: [
+    { max: 5,        label: "0–5 mph",   color: "#bfdbfe" },
+    { max: 10,       label: "5–10 mph",  color: "#60a5fa" },
+    { max: 15,       label: "10–15 mph", color: "#2563eb" },
+    { max: Infinity, label: "15+ mph",   color: "#7c3aed" }
+  ]
+};
+
+const COMPASS_16 = [
+  "N", "NNE", "NE", "ENE", "E", "ESE", "SE", "SSE",
+  "S", "SSW", "SW", "WSW", "W", "WNW", "NW", "NNW"
+];
+
+/** Compass name for 8/16 sectors, a degree range for finer ones. */
+function sectorLabel(angle, sectors) {
+  if (sectors <= 16) return COMPASS_16[Math.round(angle / 22.5) % 16];
+  const half = 180 / sectors;
+  return `${Math.round((angle - half + 360) % 360)}–${Math.round(angle + half)}°`;
+}
+
+/** p-th percentile (0–100) with linear interpolation; null for no values. */
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const k = (sorted.length - 1) * (p / 100);
+  const lo = Math.floor(k);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (k - lo);
+}
+
+// hourly records for a monitor (its snapshot when there's no history),
+// each with the AQI recomputed from the concentrations at that hour
+function roseRecords(monitor) {
+  const rows = monitor.history && monitor.history.length ? monitor.history : [monitor];
+  return rows.map(h => {
+    const r = { ...monitor, ...h };
+    const computed = computeAQI(monitor, h.time ?? null).aqi;
+    return { ...r, aqi: computed !== null ? computed : r.aqi };
+  });
+}
+
+/**
+ * Shared binning: `bandOf(record)` returns a band index, or -1 to skip
+ * the record. Frequencies are % of all non-skipped records, calms
+ * included, so the petals plus `calm` add up to 100.
+ */
+function binRose(records, sectors, bandCount, bandOf) {
+  const width = 360 / sectors;
+  const bins = Array.from({ length: sectors }, (_, i) => ({
+    angle: i * width,
+    label: sectorLabel(i * width, sectors),
+    count: 0,
+    bandCounts: new Array(bandCount).fill(0),
+    aqis: []
+  }));
+  let calm = 0;
+  let total = 0;
+
+  for (const r of records) {
+    const band = bandOf(r);
+    if (band < 0) continue;
+    total++;
+    if (!(r.windSpeed >= WIND_ROSE.calmMph) || !Number.isFinite(r.windDirection)) {
+      calm++;
+      continue;
+    }
+    const bin = bins[Math.round((((r.windDirection % 360) + 360) % 360) / width) % sectors];
+    bin.count++;
+    bin.bandCounts[band]++;
+    if (Number.isFinite(r.aqi)) bin.aqis.push(r.aqi);
+  }
+
+  const pct = (n) => (total ? (n / total) * 100 : 0);
+  return {
+    total,
+    calm: pct(calm),
+    sectors: bins.map(({ aqis, bandCounts, ...b }) => ({
+      ...b,
+      frequency: pct(b.count),
+      bands: bandCounts.map(pct),
+      aqiMean: aqis.length ? aqis.reduce((a, v) => a + v, 0) / aqis.length : null,
+      aqiHigh: percentile(aqis, WIND_ROSE.percentile)
+    }))
+  };
+}
+
+/** Wind rose: direction × wind-speed band. */
+function computeWindRose(monitor, sectors = WIND_ROSE.sectors) {
+  const bands = WIND_ROSE.speedBands;
+  const rose = binRose(roseRecords(monitor), sectors, bands.length, (r) =>
+    Number.isFinite(r.windSpeed) ? bands.findIndex(b => r.windSpeed < b.max) : -1
+  );
+  return { ...rose, bands: bands.map(({ label, color }) => ({ label, color })) };
+}
+
+/**
+ * Pollution rose: direction × the AQI category of one pollutant's
+ * concentration, skipping hours that don't report it.
+ */
+function computePollutionRose(monitor, pollutant, sectors = WIND_ROSE.sectors) {
+  const rose = binRose(roseRecords(monitor), sectors, AQI_CATEGORIES.length, (r) => {
+    const aqi = aqiSubIndex(pollutant, r[pollutant]);
+    return aqi === null ? -1 : AQI_CATEGORIES.indexOf(aqiCategory(aqi));
+  });
+  return {
+    ...rose,
+    bands: pollutantLegend(pollutant).map(({ range, color }) => ({
+      label: `${range} ${POLLUTANTS[pollutant].units}`,
+      color
+    }))
+  };
+}
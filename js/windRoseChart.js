@@ -0,0 +1,232 @@
+/* =======================================================
+   WIND ROSE CHART
+   Sidebar rose for the selected monitor: stacked petals per
+   direction sector, a hover tooltip, and a switch between the
+   wind rose and the pollution rose, with a data table for
+   screen readers and keyboard users. MiniWindRose is the bare
+   petals, for small multiples.
+   ======================================================= */
+const ROSE_RADIUS = 22;
+
+// compass degrees (0 = N, clockwise) -> SVG point
+const rosePoint = (deg, r) => {
+  const rad = (deg * Math.PI) / 180;
+  return `${(Math.sin(rad) * r).toFixed(3)} ${(-Math.cos(rad) * r).toFixed(3)}`;
+};
+
+// annular wedge between radii r0..r1 and angles a0..a1
+function wedgePath(r0, r1, a0, a1) {
+  const outer = `M ${rosePoint(a0, r1)} A ${r1} ${r1} 0 0 1 ${rosePoint(a1, r1)}`;
+  if (r0 <= 0) return `${outer} L 0 0 Z`;
+  return `${outer} L ${rosePoint(a1, r0)} A ${r0} ${r0} 0 0 0 ${rosePoint(a0, r0)} Z`;
+}
+
+// one sector's bands stacked outwards: { wedges: [{ d, color }], outer }
+function stackedWedges(sector, bands, scale, half) {
+  const a0 = sector.angle - half;
+  const a1 = sector.angle + half;
+  let r0 = 0;
+  const wedges = [];
+  sector.bands.forEach((f, b) => {
+    if (f <= 0) return;
+    const r1 = r0 + f * scale;
+    wedges.push({ d: wedgePath(r0, r1, a0, a1), color: bands[b].color });
+    r0 = r1;
+  });
+  return { wedges, outer: r0 };
+}
+
+// `palette` only re-bins the rose so band colours follow a palette switch
+const WindRoseChart = ({ monitor, pollutant, palette }) => {
+  const [mode, setMode] = React.useState("wind");
+  const [sectors, setSectors] = React.useState(WIND_ROSE.sectors);
+  const [stat, setStat] = React.useState("mean");
+  const [hover, setHover] = React.useState(null);
+  const containerRef = React.useRef(null);
+
+  const rose = React.useMemo(
+    () => (mode === "wind"
+      ? computeWindRose(monitor, sectors)
+      : computePollutionRose(monitor, pollutant, sectors)),
+    [monitor, mode, sectors, pollutant, palette]
+  );
+
+  const maxFreq = Math.max(...rose.sectors.map(s => s.frequency), 0);
+  const scale = maxFreq > 0 ? ROSE_RADIUS / maxFreq : 0;
+  const half = (360 / sectors / 2) * 0.9;
+  const statLabel = stat === "mean" ? "Mean AQI" : `P${WIND_ROSE.percentile} AQI`;
+
+  const onHover = (e, index) => {
+    const box = containerRef.current.getBoundingClientRect();
+    setHover({ index, x: e.clientX - box.left, y: e.clientY - box.top });
+  };
+
+  // text alternative for the SVG
+  const busiest = rose.sectors.reduce((a, s) => (s.frequency > a.frequency ? s : a), rose.sectors[0]);
+  const summary = rose.total === 0 ? "No records" :
+    `${mode === "wind" ? "Wind" : "Pollution"} rose over ${rose.total} hours: wind most often from ` +
+    `${busiest.label} (${busiest.frequency.toFixed(0)}% of hours), calm ${rose.calm.toFixed(0)}%.`;
+
+  const hovered = hover && rose.sectors[hover.index];
+  const hoveredAQI = hovered && (stat === "mean" ? hovered.aqiMean : hovered.aqiHigh);
+
+  return (
+    <div className="wind-rose-container">
+      <div className="wind-rose-header">
+        <div className="wind-rose-title">
+          {mode === "wind" ? "Wind Rose" : `Pollution Rose · ${POLLUTANTS[pollutant].label}`}
+        </div>
+        <div className="wind-rose-controls">
+          <select className="control-select" value={mode} onChange={(e) => setMode(e.target.value)}>
+            <option value="wind">Wind speed</option>
+            <option value="pollution">Pollution</option>
+          </select>
+          <select
+            className="control-select"
+            value={sectors}
+            onChange={(e) => setSectors(Number(e.target.value))}
+            title="Direction sectors"
+          >
+            {WIND_ROSE.sectorOptions.map(n => <option key={n} value={n}>{n} sectors</option>)}
+          </select>
+          <select className="control-select" value={stat} onChange={(e) => setStat(e.target.value)}>
+            <option value="mean">Mean AQI</option>
+            <option value="high">P{WIND_ROSE.percentile} AQI</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="wind-rose-svg-container" ref={containerRef} onMouseLeave={() => setHover(null)}>
+        {rose.total === 0 ? (
+          <div className="wind-rose-empty">No records to bin for this monitor.</div>
+        ) : (
+          <svg viewBox="-30 -30 60 60" style={{ width: "100%", height: "100%" }} role="img" aria-label={summary}>
+            {/* rings at thirds of the busiest sector */}
+            {[1, 2, 3].map(k => (
+              <g key={k}>
+                <circle r={(ROSE_RADIUS * k) / 3} fill="none" stroke="#4b5563" strokeWidth="0.3" />
+                <text x="0.6" y={(-ROSE_RADIUS * k) / 3 - 0.4} fontSize="1.8" fill="#9ca3af">
+                  {Math.round((maxFreq * k) / 3)}%
+                </text>
+              </g>
+            ))}
+
+            {/* cardinal labels */}
+            {["N", "E", "S", "W"].map((dir, i) => {
+              const [x, y] = rosePoint(i * 90, 27).split(" ");
+              return (
+                <text key={dir} x={x} y={y} dy="1" textAnchor="middle" fontSize="3" fill="#9ca3af" fontWeight="bold">
+                  {dir}
+                </text>
+              );
+            })}
+
+            {/* petals: one stacked wedge per band, plus an AQI cap in wind mode */}
+            {rose.sectors.map((s, i) => {
+              const { wedges, outer } = stackedWedges(s, rose.bands, scale, half);
+              const aqi = stat === "mean" ? s.aqiMean : s.aqiHigh;
+              return (
+                <g
+                  key={s.angle}
+                  className={`wind-rose-petal ${hover && hover.index === i ? "hovered" : ""}`}
+                  onMouseMove={(e) => onHover(e, i)}
+                >
+                  {wedges.map((w, b) => <path key={b} d={w.d} fill={w.color} stroke="#1f2937" strokeWidth="0.15" />)}
+                  {mode === "wind" && s.count > 0 && aqi !== null && (
+                    <path d={wedgePath(outer, outer + 1.2, s.angle - half, s.angle + half)} fill={getAQIColor(aqi)} />
+                  )}
+                </g>
+              );
+            })}
+
+            <circle r="1.5" fill="white" stroke="#999" strokeWidth="0.3" />
+          </svg>
+        )}
+
+        {hovered && (
+          <div className="wind-rose-tooltip" style={{ left: hover.x + 12, top: hover.y + 12 }}>
+            <strong>{hovered.label}</strong> ({Math.round(hovered.angle)}°)
+            <div>{hovered.frequency.toFixed(1)}% of hours ({hovered.count})</div>
+            <div>{statLabel}: {hoveredAQI === null ? "—" : Math.round(hoveredAQI)}</div>
+            {hovered.bands.map((f, b) => f > 0 && (
+              <div key={b} className="wind-rose-tooltip-band">
+                <span className="map-legend-swatch" style={{ background: rose.bands[b].color }} />
+                {rose.bands[b].label}: {f.toFixed(1)}%
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="wind-rose-legend">
+        {rose.bands.map(b => (
+          <span key={b.label} className="wind-rose-legend-item">
+            <span className="map-legend-swatch" style={{ background: b.color }} />
+            {b.label}
+          </span>
+        ))}
+        <span className="wind-rose-legend-item">Calm {rose.calm.toFixed(0)}%</span>
+      </div>
+
+      <div className="wind-rose-description">
+        {mode === "wind"
+          ? `Petal length is how often the wind blew from each direction over ${rose.total} hours, stacked by speed; the cap shows the ${stat === "mean" ? "mean" : `${WIND_ROSE.percentile}th-percentile`} AQI for those hours.`
+          : `Petal length is how often the wind blew from each direction over ${rose.total} hours, stacked by the ${POLLUTANTS[pollutant].name} level measured at the time.`}
+      </div>
+
+      {rose.total > 0 && (
+        <details className="wind-rose-table">
+          <summary>Table view</summary>
+          <table>
+            <caption>{summary}</caption>
+            <thead>
+              <tr>
+                <th scope="col">From</th>
+                <th scope="col">% of hours</th>
+                {rose.bands.map(b => <th key={b.label} scope="col">{b.label}</th>)}
+                <th scope="col">{statLabel}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rose.sectors.map(s => {
+                const aqi = stat === "mean" ? s.aqiMean : s.aqiHigh;
+                return (
+                  <tr key={s.angle}>
+                    <th scope="row">{s.label}</th>
+                    <td>{s.frequency.toFixed(1)}</td>
+                    {s.bands.map((f, b) => <td key={b}>{f.toFixed(1)}</td>)}
+                    <td>{aqi === null ? "—" : `${Math.round(aqi)} (${getAQILabel(aqi)})`}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </details>
+      )}
+    </div>
+  );
+};
+
+/** Compact wind rose (speed bands only), scaled to its own busiest sector. */
+const MiniWindRose = ({ monitor, sectors = 8 }) => {
+  const rose = React.useMemo(() => computeWindRose(monitor, sectors), [monitor, sectors]);
+  const maxFreq = Math.max(...rose.sectors.map(s => s.frequency), 0);
+  const scale = maxFreq > 0 ? ROSE_RADIUS / maxFreq : 0;
+  const half = (360 / sectors / 2) * 0.9;
+
+  if (rose.total === 0) return <div className="wind-rose-empty">No wind history</div>;
+  return (
+    <svg className="mini-wind-rose" viewBox="-27 -27 54 54">
+      <title>{`Wind rose, ${rose.total} hours, calm ${rose.calm.toFixed(0)}%`}</title>
+      <circle r={ROSE_RADIUS} fill="none" stroke="#4b5563" strokeWidth="0.4" />
+      <text x="0" y="-23.5" textAnchor="middle" fontSize="4" fill="#9ca3af">N</text>
+      {rose.sectors.map(s => (
+        <g key={s.angle}>
+          {stackedWedges(s, rose.bands, scale, half).wedges.map((w, b) => (
+            <path key={b} d={w.d} fill={w.color} stroke="#1f2937" strokeWidth="0.2" />
+          ))}
+        </g>
+      ))}
+    </svg>
+  );
+};
@@ -0,0 +1,177 @@
+/* =======================================================
+   LOCAL AIR-QUALITY API STUB
+   Serves data/monitors.json reshaped like the public APIs so
+   the "REST endpoint" data source can be exercised offline.
+
+     node stub/aq-stub-server.js [port]
+
+     GET /v2/latest        OpenAQ v2 "latest" shape
+     GET /aq/observation   AirNow observation shape
+     GET /forecast         hourly forecast per monitor, ?hours=1–48
+                           (default 48), for the forecast mode
+
+   Either route takes ?synthetic=N to append N made-up monitors
+   around the real ones (load-testing "Show All"), and
+   ?ramp=<id> to make that monitor's particulates climb with
+   every minute the stub has been up (exercising alert rules
+   with the data source's auto-refresh).
+   ======================================================= */
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const PORT = Number(process.argv[2]) || 8787;
+const DATA_FILE = path.join(__dirname, "..", "data", "monitors.json");
+
+// our record keys -> OpenAQ parameter names
+const OPENAQ_PARAMS = {
+  pm25: "pm25", pm10: "pm10", o3: "o3", no2: "no2", so2: "so2", co: "co",
+  windSpeed: "wind_speed", windDirection: "wind_direction"
+};
+
+// our record keys -> AirNow ParameterName
+const AIRNOW_PARAMS = {
+  pm25: "PM2.5", pm10: "PM10", o3: "OZONE", no2: "NO2", so2: "SO2", co: "CO",
+  windSpeed: "WS", windDirection: "WD"
+};
+
+const STARTED = Date.now();
+
+const readMonitors = () => JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+
+// deterministic pseudo-random, so reloads return the same fake network
+const seeded = (seed) => () => {
+  seed = (seed * 16807) % 2147483647;
+  return (seed - 1) / 2147483646;
+};
+
+// undefined stays undefined (low-cost sensors report PM₂.₅ alone)
+const scaled = (v, f) => (v === undefined ? undefined : +(v * f).toFixed(1));
+
+function withSynthetic(monitors, count) {
+  const rand = seeded(42);
+  const extra = Array.from({ length: count }, (_, i) => {
+    const base = monitors[i % monitors.length];
+    const f = 0.6 + rand() * 0.8;
+    return {
+      id: `syn-${i + 1}`,
+      name: `Synthetic ${i + 1}`,
+      lat: +(base.lat + (rand() - 0.5) * 0.3).toFixed(4),
+      lon: +(base.lon + (rand() - 0.5) * 0.4).toFixed(4),
+      sensorType: base.sensorType,
+      pm25: scaled(base.pm25, f),
+      pm10: scaled(base.pm10, f),
+      o3: base.o3, no2: base.no2, so2: base.so2, co: base.co,
+      windSpeed: Math.round(base.windSpeed * (0.8 + rand() * 0.4)),
+      windDirection: Math.round((base.windDirection + (rand() - 0.5) * 40 + 360) % 360)
+    };
+  });
+  return [...monitors, ...extra];
+}
+
+// +50% per minute of uptime on the chosen monitor's PM
+function withRamp(monitors, id) {
+  if (!id) return monitors;
+  const f = 1 + ((Date.now() - STARTED) / 60000) * 0.5;
+  return monitors.map((m) => (String(m.id) === id
+    ? { ...m, pm25: scaled(m.pm25, f), pm10: scaled(m.pm10, f) }
+    : m));
+}
+
+// made-up hourly outlook from each snapshot: a pollution episode peaking
+// ~18 h out, a daily cycle, and winds veering 3° an hour
+function toForecast(monitors, hours) {
+  const issued = Math.floor(Date.now() / 3600000) * 3600000;
+  return {
+    issued: new Date(issued).toISOString(),
+    monitors: monitors.map((m) => ({
+      id: m.id,
+      name: m.name,
+      hourly: Array.from({ length: hours }, (_, h) => {
+        const episode = Math.exp(-(((h - 18) / 8) ** 2));
+        const day = Math.sin((2 * Math.PI * (h + 6)) / 24);
+        const pm25 = m.pm25 * (0.45 + 0.7 * episode + 0.12 * day);
+        return {
+          time: new Date(issued + h * 3600000).toISOString(),
+          windSpeed: +(m.windSpeed * (0.75 + 0.25 * Math.sin((2 * Math.PI * h) / 24) + 0.2 * (1 - episode))).toFixed(1),
+          windDirection: (m.windDirection + 3 * h) % 360,
+          pm25: +pm25.toFixed(1),
+          pm10: +(pm25 * 1.35).toFixed(1),
+          o3: Math.round(18 + 24 * Math.max(0, day)),
+          no2: m.no2 === undefined ? undefined : Math.round(m.no2 * (0.8 + 0.35 * episode))
+        };
+      })
+    }))
+  };
+}
+
+function toOpenAQ(monitors) {
+  const now = new Date().toISOString();
+  return {
+    meta: { name: "openaq-api", found: monitors.length },
+    results: monitors.map((m) => ({
+      locationId: m.id,
+      location: m.name,
+      coordinates: { latitude: m.lat, longitude: m.lon },
+      sensorType: m.sensorType === "lowcost" ? "low-cost sensor" : "reference grade",
+      measurements: Object.entries(OPENAQ_PARAMS)
+        .filter(([k]) => m[k] !== undefined)
+        .map(([k, parameter]) => ({ parameter, value: m[k], lastUpdated: now }))
+    }))
+  };
+}
+
+function toAirNow(monitors) {
+  const now = new Date().toISOString().slice(0, 16);
+  return monitors.flatMap((m) =>
+    Object.entries(AIRNOW_PARAMS)
+      .filter(([k]) => m[k] !== undefined)
+      .map(([k, Parameter]) => ({
+        AQSID: String(m.id),
+        SiteName: m.name,
+        Latitude: m.lat,
+        Longitude: m.lon,
+        UTC: now,
+        Parameter,
+        Value: m[k],
+        // only the dominant pollutant carries the reported AQI
+        AQI: AIRNOW_PARAMS[dominantKey(m)] === Parameter ? m.aqi : -999
+      }))
+  );
+}
+
+function dominantKey(m) {
+  const name = String(m.dominantPollutant || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+  return Object.keys(AIRNOW_PARAMS).find(k => k === name) || "pm25";
+}
+
+const server = http.createServer((req, res) => {
+  const send = (status, body) => {
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*"
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  const { pathname, searchParams } = new URL(req.url, `http://localhost:${PORT}`);
+  const monitors = () => withRamp(
+    withSynthetic(readMonitors(), Math.max(0, Number(searchParams.get("synthetic")) || 0)),
+    searchParams.get("ramp")
+  );
+  try {
+    if (pathname === "/v2/latest") return send(200, toOpenAQ(monitors()));
+    if (pathname === "/aq/observation") return send(200, toAirNow(monitors()));
+    if (pathname === "/forecast") {
+      const hours = Math.min(48, Math.max(1, Number(searchParams.get("hours")) || 48));
+      return send(200, toForecast(monitors(), hours));
+    }
+    send(404, { error: `No route for ${pathname}` });
+  } catch (err) {
+    send(500, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`AQ stub listening on http://localhost:${PORT} (/v2/latest, /aq/observation, /forecast)`);
+});
@@ -0,0 +1,133 @@
+/* =======================================================
+   SERVICE WORKER
+   Offline support for the field: precaches the app shell and
+   the vendored libraries, keeps recently viewed Detroit-area map
+   tiles, and serves cached copies when the network is down.
+   Live monitor data is not cached here; the app keeps the
+   last fetch in IndexedDB (js/offlineStore.js) so it can say
+   how old it is. Bump CACHE_VERSION when SHELL_FILES change.
+   ======================================================= */
+const CACHE_VERSION = "v6";
+const SHELL_CACHE = `aq-shell-${CACHE_VERSION}`;
+const TILE_CACHE = "aq-tiles";
+const MAX_TILES = 2000;
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "app.js",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "data/sources.json",
+  "data/neighbourhoods.geojson",
+  "data/surface.geojson",
+  "data/forecast.json",
+  ...[
+    "aqi", "dataSource", "dataQuality", "timeline", "windField", "gaussianPlume", "pointSources",
+    "backTrajectory", "plumeTuning", "viewState", "windRose", "alerts", "exposure",
+    "surface", "forecast", "particleSim", "particleEngine", "particleWorker", "gifEncoder", "mapExport", "offlineStore",
+    "dataSourcePanel", "timelineBar", "concentrationLegend", "sourcesPanel", "savedViewsPicker",
+    "plumeTuningPanel", "windRoseChart", "comparisonPanel", "alertsPanel", "exposurePanel",
+    "surfacePanel", "forecastPanel", "monitorList", "perfOverlay", "exportControls"
+  ].map(name => `js/${name}.js`)
+];
+
+// pinned copies of the libraries (index.html and js/embed.js load these);
+// a new version gets a new directory, so they never change in place
+const VENDOR_FILES = [
+  "vendor/leaflet-1.9.4/leaflet.css",
+  "vendor/leaflet-1.9.4/leaflet.js",
+  ...["layers", "layers-2x", "marker-icon", "marker-icon-2x", "marker-shadow"]
+    .map(name => `vendor/leaflet-1.9.4/images/${name}.png`),
+  "vendor/react-18.3.1/react.production.min.js",
+  "vendor/react-dom-18.3.1/react-dom.production.min.js",
+  "vendor/babel-standalone-7.29.9/babel.min.js"
+];
+const VENDOR_URLS = VENDOR_FILES.map(file => new URL(file, self.location).href);
+
+// fetched fresh every time; the app falls back to IndexedDB itself
+const LIVE_DATA = /\/data\/monitors\.json$/;
+
+// only tiles touching this box are kept
+const TILE_BOUNDS = { south: 41.9, north: 42.8, west: -83.8, east: -82.5 };
+const TILE_URL = /basemaps\.cartocdn\.com\/.*\/(\d+)\/(\d+)\/(\d+)(@2x)?\.png$/;
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll([...SHELL_FILES, ...VENDOR_FILES]);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    for (const key of await caches.keys()) {
+      if (key.startsWith("aq-shell-") && key !== SHELL_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+// web-mercator tile x/y/z -> does it overlap TILE_BOUNDS?
+function tileInBounds(z, x, y) {
+  const n = 2 ** z;
+  const lon = (tx) => (tx / n) * 360 - 180;
+  const lat = (ty) => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / n))) * 180) / Math.PI;
+  return lon(x + 1) >= TILE_BOUNDS.west && lon(x) <= TILE_BOUNDS.east &&
+    lat(y + 1) <= TILE_BOUNDS.north && lat(y) >= TILE_BOUNDS.south;
+}
+
+// drop the oldest tiles (cache keys come back in insertion order)
+let tilePuts = 0;
+async function trimTiles(cache) {
+  const keys = await cache.keys();
+  for (let i = 0; i < keys.length - MAX_TILES; i++) await cache.delete(keys[i]);
+}
+
+async function cacheFirst(request, cacheName, shouldStore = () => true) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if ((response.ok || response.type === "opaque") && shouldStore()) {
+    await cache.put(request, response.clone());
+    if (cacheName === TILE_CACHE && ++tilePuts % 50 === 0) trimTiles(cache);
+  }
+  return response;
+}
+
+// app files: fresh when online (so edits show up), cached when not
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  const tile = TILE_URL.exec(url.href);
+  if (tile) {
+    const [, z, x, y] = tile.map(Number);
+    event.respondWith(cacheFirst(request, TILE_CACHE, () => tileInBounds(z, x, y)));
+    return;
+  }
+  if (VENDOR_URLS.includes(url.href)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+    return;
+  }
+  if (url.origin === self.location.origin && !LIVE_DATA.test(url.pathname)) {
+    event.respondWith(networkFirst(request));
+  }
+});
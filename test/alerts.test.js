@@ -0,0 +1,122 @@
+/* Alert rules (js/alerts.js) run against a mocked data feed: raw
+   records go through the same parsing and validation as a real load. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts, memoryStorage } = require("./loadScripts");
+
+const {
+  createAlertRule, evaluateAlertRules, exceedanceSpan, recordsFromJSON, recordsFromOpenAQ,
+  validateMonitorRecords, AQI_CATEGORIES, HOUR_MS
+} = loadScripts(["aqi", "dataSource", "dataQuality", "timeline", "alerts"]);
+
+const T0 = Date.parse("2025-01-14T00:00:00Z");
+const base = { lat: 42.33, lon: -83.05, windSpeed: 10, windDirection: 240 };
+
+// one feed response -> validated monitors, as loadMonitors() would produce
+function feed(records) {
+  const { monitors, errors } = validateMonitorRecords(recordsFromJSON(records));
+  assert.equal(errors.length, 0, JSON.stringify(errors));
+  return monitors;
+}
+
+// OpenAQ-shaped snapshot with no history
+const openAQ = (pm25) => ({
+  results: [{
+    locationId: 7, location: "Snapshot site",
+    coordinates: { latitude: 42.33, longitude: -83.05 },
+    measurements: [
+      { parameter: "pm25", value: pm25 },
+      { parameter: "wind_speed", value: 10 },
+      { parameter: "wind_direction", value: 240 }
+    ]
+  }]
+});
+
+const withHistory = (id, name, pm25s) => ({
+  id, name, ...base, pm25: pm25s[pm25s.length - 1],
+  history: pm25s.map((pm25, i) => ({ time: new Date(T0 + i * HOUR_MS).toISOString(), pm25 }))
+});
+
+test("PM2.5 > 35 for 2 h at a station needs a 2-hour run ending at the latest hour", () => {
+  const rule = createAlertRule({ id: "pm", monitorId: 2, metric: "pm25", threshold: 35, hours: 2 });
+
+  // one hour over: not yet
+  let monitors = feed([withHistory(2, "Dearborn", [20, 30, 40])]);
+  assert.equal(evaluateAlertRules([rule], monitors, new Map()).length, 0);
+
+  // two hours over (the readings at 01:00 and 02:00 stand for 01:00–03:00)
+  monitors = feed([withHistory(2, "Dearborn", [20, 40, 42])]);
+  const [alert] = evaluateAlertRules([rule], monitors, new Map());
+  assert.equal(alert.key, "pm:2");
+  assert.equal(alert.since, T0 + HOUR_MS);
+  assert.match(alert.message, /^Dearborn: PM₂․₅ 42 µg\/m³ for 2 h/);
+
+  // the run must reach the latest hour
+  monitors = feed([withHistory(2, "Dearborn", [40, 42, 30])]);
+  assert.equal(evaluateAlertRules([rule], monitors, new Map()).length, 0);
+
+  // other stations are ignored
+  monitors = feed([withHistory(2, "Dearborn", [10, 10, 10]), withHistory(3, "Belle Isle", [50, 50, 50])]);
+  assert.equal(evaluateAlertRules([rule], monitors, new Map()).length, 0);
+});
+
+test("a snapshot-only monitor is timed across refreshes through `tracking`", () => {
+  const rule = createAlertRule({ id: "snap", metric: "pm25", threshold: 35, hours: 1 });
+  const tracking = new Map();
+  const refresh = (pm25, now) =>
+    evaluateAlertRules([rule], validateMonitorRecords(recordsFromOpenAQ(openAQ(pm25))).monitors, tracking, now);
+
+  // first refresh over the threshold starts the clock
+  assert.equal(refresh(80, T0).length, 0);
+  assert.equal(tracking.get("snap:7"), T0);
+  assert.equal(refresh(80, T0 + 30 * 60000).length, 0);
+
+  // still over an hour later: fires, timed from the first refresh
+  const [alert] = refresh(90, T0 + HOUR_MS);
+  assert.equal(alert.since, T0);
+
+  // dropping below resets it
+  assert.equal(refresh(20, T0 + 2 * HOUR_MS).length, 0);
+  assert.equal(tracking.has("snap:7"), false);
+  assert.equal(refresh(80, T0 + 3 * HOUR_MS).length, 0);
+  assert.equal(tracking.get("snap:7"), T0 + 3 * HOUR_MS);
+});
+
+test("category ≥ Unhealthy anywhere fires for each station at or above it", () => {
+  const unhealthy = AQI_CATEGORIES.findIndex(c => c.label === "Unhealthy");
+  const rule = createAlertRule({ id: "cat", metric: "category", threshold: unhealthy });
+  const monitors = feed([
+    { id: 1, name: "Clean", ...base, pm25: 8 },
+    { id: 2, name: "Unhealthy", ...base, pm25: 60 },          // AQI 153
+    { id: 3, name: "Off the scale", ...base, pm25: 400 },     // above the table: AQI 500
+    { id: 4, name: "Sensitive", ...base, pm25: 40 }           // AQI 112, one category short
+  ]);
+  const active = evaluateAlertRules([rule], monitors, new Map(), T0);
+  assert.deepEqual(Array.from(active, a => a.monitorId), [2, 3]);
+  assert.match(active[0].message, /Unhealthy.*anywhere/);
+});
+
+test("disabled rules and monitors with no data never fire", () => {
+  const rule = createAlertRule({ id: "aqi", metric: "aqi", threshold: 100 });
+  const monitors = feed([{ id: 1, name: "Offline", ...base, qa: "missing" }]);
+  assert.equal(exceedanceSpan(rule, monitors[0], new Map(), T0), null);
+  const loud = feed([{ id: 2, name: "Loud", ...base, pm25: 200 }]);
+  assert.equal(evaluateAlertRules([{ ...rule, enabled: false }], loud, new Map(), T0).length, 0);
+  assert.equal(evaluateAlertRules([rule], loud, new Map(), T0).length, 1);
+});
+
+test("rules round-trip through storage, and a failed write is reported", () => {
+  const rule = createAlertRule({ id: "r1", metric: "pm25", threshold: 35 });
+  const ok = loadScripts(["aqi", "dataSource", "dataQuality", "timeline", "alerts"]);
+  ok.storeAlertRules([rule]);
+  assert.equal(ok.loadAlertRules()[0].id, "r1");
+
+  const full = loadScripts(["aqi", "dataSource", "dataQuality", "timeline", "alerts"],
+    { localStorage: memoryStorage({ failWrites: true }) });
+  assert.throws(() => full.storeAlertRules([rule]), /could not be saved/);
+});
+
+test("rules created in the same millisecond get different ids", () => {
+  const ids = new Set(Array.from({ length: 50 }, () => createAlertRule({ metric: "aqi", threshold: 100 }).id));
+  assert.equal(ids.size, 50);
+});
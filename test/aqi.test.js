@@ -0,0 +1,89 @@
+/* Unit tests for js/aqi.js against the EPA's published worked examples
+   (Technical Assistance Document, 2024). Gas tables are in ppb here. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const { aqiSubIndex, computeAQI, aqiCategory, AQI_NO_DATA, HOUR_MS } =
+  loadScripts(["aqi", "dataSource", "timeline"]);
+
+const T0 = Date.parse("2025-01-14T00:00:00Z");
+
+// hourly history ending at the returned `t`, one entry per value
+function hourly(key, values) {
+  const history = values.map((v, i) => ({ time: T0 + i * HOUR_MS, [key]: v }));
+  return { monitor: { history }, t: history[history.length - 1].time };
+}
+
+test("PM2.5 24-h example: 35.9 µg/m³ is AQI 102", () => {
+  assert.equal(aqiSubIndex("pm25", 35.9), 102);
+});
+
+test("concentrations are truncated, not rounded, before lookup", () => {
+  assert.equal(aqiSubIndex("pm25", 35.97), 102);   // -> 35.9
+  assert.equal(aqiSubIndex("pm25", 35.45), 100);   // -> 35.4, top of Moderate
+  assert.equal(aqiSubIndex("pm10", 154.9), 100);   // -> 154
+  assert.equal(aqiSubIndex("co", 8460), 90);       // 8.46 ppm -> 8.4 ppm
+});
+
+test("values between category breakpoints stay in the lower category", () => {
+  assert.equal(aqiSubIndex("pm25", 9.05), 50);     // between 9.0 and 9.1
+  assert.equal(aqiSubIndex("pm25", 9.1), 51);
+  assert.equal(aqiSubIndex("co", 4450), 50);       // between 4.4 and 4.5 ppm
+  assert.equal(aqiSubIndex("co", 4500), 51);
+});
+
+test("O3 8-h example: 0.078 ppm is AQI 126", () => {
+  const { monitor, t } = hourly("o3", Array(8).fill(78));
+  const result = computeAQI(monitor, t);
+  assert.equal(result.pollutants.o3.aqi, 126);
+  assert.equal(result.pollutants.o3.hours, 8);
+});
+
+test("O3 1-h values of 125 ppb and up are indexed too and the larger index wins", () => {
+  // 8-h mean 81.5 ppb -> 136; latest hour 162 ppb -> 147
+  const { monitor, t } = hourly("o3", [...Array(7).fill(70), 162]);
+  const result = computeAQI(monitor, t);
+  assert.equal(result.pollutants.o3.aqi, 147);
+  assert.equal(result.pollutants.o3.hours, 1);
+  // below 125 ppb the 1-h value is ignored
+  assert.equal(computeAQI(hourly("o3", [...Array(7).fill(70), 120]).monitor, t).pollutants.o3.hours, 8);
+});
+
+test("SO2 1-h values of 305 ppb and up switch to the 24-h table", () => {
+  const sustained = hourly("so2", Array(24).fill(400));
+  const result = computeAQI(sustained.monitor, sustained.t);
+  assert.equal(result.pollutants.so2.aqi, 232);
+  assert.equal(result.pollutants.so2.hours, 24);
+
+  // a one-hour spike whose 24-h mean is still below the table tops out "Unhealthy"
+  const spike = hourly("so2", [...Array(23).fill(100), 350]);
+  assert.equal(computeAQI(spike.monitor, spike.t).pollutants.so2.aqi, 200);
+});
+
+test("CO 8-h example: 8.4 ppm is AQI 90", () => {
+  const { monitor, t } = hourly("co", Array(8).fill(8400));
+  assert.equal(computeAQI(monitor, t).pollutants.co.aqi, 90);
+});
+
+test("values above the top of the scale report AQI 500", () => {
+  assert.equal(aqiSubIndex("pm25", 325.4), 500);
+  assert.equal(aqiSubIndex("pm25", 412), 500);
+  assert.equal(aqiSubIndex("pm10", 900), 500);
+  assert.equal(aqiSubIndex("so2", 2000), 500);
+  assert.equal(computeAQI({ pm25: 600 }, null).aqi, 500);
+});
+
+test("the overall AQI is the largest sub-index", () => {
+  const result = computeAQI({ pm25: 35.9, o3: 40, co: 8400 }, null);
+  assert.equal(result.aqi, 102);
+  assert.equal(result.dominantPollutant, "pm25");
+});
+
+test("no computable AQI gets the neutral category, not Good", () => {
+  assert.equal(computeAQI({ pm25: null }, null).aqi, null);
+  assert.equal(aqiCategory(null), AQI_NO_DATA);
+  assert.equal(aqiCategory(null).label, "No data");
+  assert.equal(aqiCategory(0).label, "Good");
+  assert.equal(aqiCategory(501).label, "Hazardous");
+});
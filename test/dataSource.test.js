@@ -0,0 +1,40 @@
+/* Feed parsers (js/dataSource.js): a bad row is a row error, not a
+   failed load. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const { recordsFromRest, validateMonitorRecords } = loadScripts(["aqi", "dataSource", "dataQuality"]);
+
+// what loadMonitors() does with a REST response
+const load = (json) => validateMonitorRecords(recordsFromRest(json));
+
+test("OpenAQ results that aren't objects become row errors", () => {
+  const { monitors, errors } = load({
+    results: [
+      null,
+      {
+        locationId: 7, location: "Site", coordinates: { latitude: 42.33, longitude: -83.05 },
+        measurements: [null, { parameter: "pm25", value: 12 }, { parameter: "wind_speed", value: 5 },
+          { parameter: "wind_direction", value: 200 }]
+      }
+    ]
+  });
+  assert.equal(monitors.length, 1);
+  assert.equal(monitors[0].pm25, 12);
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].row, 1);
+  assert.deepEqual(Array.from(errors[0].messages), ["record is not an object"]);
+});
+
+test("AirNow rows that aren't objects become row errors, wherever they are", () => {
+  const row = (Parameter, Value) => ({
+    AQSID: "261630001", SiteName: "Allen Park", Latitude: 42.23, Longitude: -83.21, Parameter, Value
+  });
+  const { monitors, errors } = load([null, row("PM2.5", 9.5), "oops", row("WS", 4), row("WD", 180)]);
+  assert.equal(monitors.length, 1);
+  assert.equal(monitors[0].name, "Allen Park");
+  assert.equal(monitors[0].pm25, 9.5);
+  assert.equal(errors.length, 2);
+  assert.ok(errors.every(e => e.messages[0] === "record is not an object"));
+});
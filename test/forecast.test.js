@@ -0,0 +1,70 @@
+/* Forecast exceedances (js/forecast.js): a monitor's own forecast sets
+   its AQI, averaged like computeAQI(); upwind plumes only split it. */
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadScripts } = require("./loadScripts");
+
+const {
+  forecastFromJSON, forecastMonitors, forecastHours, forecastReceptorsAt, forecastExceedances, HOUR_MS
+} = loadScripts(["aqi", "dataSource", "dataQuality", "timeline", "gaussianPlume", "forecast"]);
+
+const ISSUED = "2025-01-14T00:00:00Z";
+const T0 = Date.parse(ISSUED);
+
+// plumes head east (windDirection 0 in the plume model): "upwind" sits ~1.6 km west of "downwind"
+const upwind = { id: 1, name: "Upwind", lat: 42.33, lon: -83.10 };
+const downwind = { id: 2, name: "Downwind", lat: 42.33, lon: -83.08 };
+
+// 24 forecast hours; pm25 by hour from `pm25(h)`
+const hourly = (pm25) => Array.from({ length: 24 }, (_, hour) =>
+  ({ hour, windSpeed: 8, windDirection: 0, pm25: pm25(hour) }));
+
+function forecastFor(series) {
+  const forecast = forecastFromJSON({
+    issued: ISSUED,
+    monitors: series.map(([monitor, pm25]) => ({ id: monitor.id, hourly: hourly(pm25) }))
+  });
+  const fmonitors = forecastMonitors(series.map(([monitor]) => ({ ...monitor, pm25: 10 })), forecast);
+  return { fmonitors, hours: forecastHours(fmonitors) };
+}
+
+test("upwind plumes don't add to a monitor's own forecast", () => {
+  const { fmonitors, hours } = forecastFor([[upwind, () => 200], [downwind, () => 30]]);
+  const at = forecastReceptorsAt(fmonitors, "pm25", T0 + 12 * HOUR_MS);
+  const down = at.find(r => r.monitor.id === 2);
+  assert.equal(down.value, 30);
+  assert.equal(down.aqi, 90);
+  // added on top, the upwind plume would have pushed it past 35.4 µg/m³ (AQI 101)
+  const [plume] = down.contributors;
+  assert.equal(plume.monitor.id, 1);
+  assert.ok(30 + plume.value > 35.4);
+  assert.equal(plume.share, plume.value / 30);
+
+  const risk = forecastExceedances(fmonitors, "pm25", hours, 101);
+  assert.deepEqual(Array.from(risk, e => e.monitor.id), [1]);
+  assert.equal(risk[0].upwind.length, 0);
+});
+
+test("shares at a monitor never add up to more than its forecast", () => {
+  const { fmonitors, hours } = forecastFor([[upwind, () => 200], [downwind, () => 60]]);
+  const [down] = forecastExceedances(fmonitors, "pm25", hours, 101).filter(e => e.monitor.id === 2);
+  assert.equal(down.peakAqi, 154);
+  const total = down.upwind.reduce((sum, u) => sum + u.share, 0);
+  assert.ok(total > 0 && total <= 1, `shares add up to ${total}`);
+});
+
+test("PM2.5 AQI comes from the 24-hour mean over the forecast hours", () => {
+  // a one-hour spike at the end: AQI 250 on its own, 16 µg/m³ on the 24-h mean
+  const { fmonitors, hours } = forecastFor([[downwind, (h) => (h === 23 ? 200 : 8)]]);
+  const [spike] = forecastReceptorsAt(fmonitors, "pm25", T0 + 23 * HOUR_MS);
+  assert.equal(spike.hours, 24);
+  assert.equal(spike.value, 16);
+  assert.equal(spike.aqi, 64);
+  assert.equal(forecastExceedances(fmonitors, "pm25", hours, 101).length, 0);
+
+  // held high, the mean catches up
+  const steady = forecastFor([[downwind, () => 60]]);
+  const [risk] = forecastExceedances(steady.fmonitors, "pm25", steady.hours, 101);
+  assert.equal(risk.peakAqi, 154);
+  assert.equal(risk.hours, 24);
+});
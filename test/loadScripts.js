@@ -0,0 +1,50 @@
+/* =======================================================
+   TEST HELPER
+   The app's modules are plain browser scripts sharing one
+   global scope; this runs them in a fresh VM context in the
+   same order as index.html and hands back the named globals.
+   ======================================================= */
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// localStorage stand-in; `failWrites` mimics a full quota / private mode
+function memoryStorage({ failWrites = false } = {}) {
+  const items = new Map();
+  return {
+    getItem: (k) => (items.has(k) ? items.get(k) : null),
+    setItem: (k, v) => {
+      if (failWrites) throw new Error("QuotaExceededError");
+      items.set(k, String(v));
+    },
+    removeItem: (k) => items.delete(k)
+  };
+}
+
+/**
+ * Run js/<name>.js for each of `scripts`, in order, with `globals` in
+ * scope. Returns an object whose properties read the context's globals
+ * (top-level const/function declarations included).
+ */
+function loadScripts(scripts, globals = {}) {
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    localStorage: memoryStorage(),
+    // app.js helper the modules rely on
+    clamp: (v, lo, hi) => Math.max(lo, Math.min(hi, v)),
+    ...globals
+  });
+  for (const name of scripts) {
+    const file = path.join(ROOT, "js", `${name}.js`);
+    vm.runInContext(fs.readFileSync(file, "utf8"), context, { filename: file });
+  }
+  return new Proxy({}, {
+    get: (_, key) => (typeof key === "string" ? vm.runInContext(key, context) : undefined)
+  });
+}
+
+module.exports = { loadScripts, memoryStorage };